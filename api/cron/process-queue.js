@@ -0,0 +1,33 @@
+const database = require('../../src/services/database');
+const webhookQueue = require('../../src/services/webhookQueue');
+const config = require('../../src/config/config');
+const logger = require('../../src/utils/logger');
+const { processEvent } = require('../webhook/plain');
+
+// Initialize database connection on first request
+let dbInitialized = false;
+
+// Stop claiming new jobs with enough of maxDuration (vercel.json) left to finish the current batch
+const WORK_BUDGET_MS = 30000;
+
+/**
+ * Serverless function for the webhook queue worker, called by the Vercel cron
+ */
+module.exports = async (req, res) => {
+  if (!config.cron.secret || req.headers.authorization !== `Bearer ${config.cron.secret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (!dbInitialized) {
+      await database.initialize();
+      dbInitialized = true;
+    }
+
+    const summary = await webhookQueue.work(processEvent, { maxDurationMs: WORK_BUDGET_MS });
+    res.status(200).json({ success: true, ...summary });
+  } catch (error) {
+    logger.error('Webhook queue run failed', { error: error.message });
+    res.status(500).json({ error: 'Webhook queue run failed' });
+  }
+};
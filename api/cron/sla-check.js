@@ -0,0 +1,29 @@
+const database = require('../../src/services/database');
+const slaTracker = require('../../src/services/slaTracker');
+const config = require('../../src/config/config');
+const logger = require('../../src/utils/logger');
+
+// Initialize database connection on first request
+let dbInitialized = false;
+
+/**
+ * Serverless function for the SLA breach check, called by the Vercel cron
+ */
+module.exports = async (req, res) => {
+  if (!config.cron.secret || req.headers.authorization !== `Bearer ${config.cron.secret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (!dbInitialized) {
+      await database.initialize();
+      dbInitialized = true;
+    }
+
+    const summary = await slaTracker.checkBreaches();
+    res.status(200).json({ success: true, ...summary });
+  } catch (error) {
+    logger.error('SLA check failed', { error: error.message });
+    res.status(500).json({ error: 'SLA check failed' });
+  }
+};
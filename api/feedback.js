@@ -0,0 +1,25 @@
+const database = require('../src/services/database');
+const { handleFeedback } = require('../src/handlers/feedbackHandler');
+
+// Initialize database connection on first request
+let dbInitialized = false;
+
+/**
+ * Serverless function for feedback buttons on classification notes
+ */
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!dbInitialized) {
+    try {
+      await database.initialize();
+      dbInitialized = true;
+    } catch (error) {
+      // handleFeedback still validates the link; saving is skipped without a database
+    }
+  }
+
+  return handleFeedback(req, res);
+};
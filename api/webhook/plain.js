@@ -25,6 +25,18 @@ const config = require('../../src/config/config');
 const priorityClassifier = require('../../src/services/hybridPriorityClassifier'); // Use AI-powered hybrid classifier
 const plainApiClient = require('../../src/services/plainApiClient');
 const database = require('../../src/services/database');
+const priorityFeedback = require('../../src/services/priorityFeedback');
+const challengerClassifier = require('../../src/services/challengerClassifier');
+const followUpReclassifier = require('../../src/services/followUpReclassifier');
+const confidencePolicy = require('../../src/services/confidencePolicy');
+const reviewQueue = require('../../src/services/reviewQueue');
+const classificationNotes = require('../../src/services/classificationNotes');
+const priorityLabeler = require('../../src/services/priorityLabeler');
+const escalationEngine = require('../../src/services/escalationEngine');
+const slaTracker = require('../../src/services/slaTracker');
+const priorityRuleSet = require('../../src/services/priorityRuleSet');
+const webhookQueue = require('../../src/services/webhookQueue');
+const processedEvents = require('../../src/services/processedEvents');
 
 // Fallback webhook verification
 const { 
@@ -45,6 +57,12 @@ export const config_vercel = {
 // Initialize database connection on first request
 let dbInitialized = false;
 
+// The process-queue cron is rejected without CRON_SECRET, so queued events would never be classified
+if (config.queue.enabled && !config.cron.secret) {
+  logger.error('CRON_SECRET is not set, the webhook queue has no worker; processing webhooks inline');
+  webhookQueue.disable();
+}
+
 /**
  * Serverless function for handling Plain webhooks
  */
@@ -225,39 +243,39 @@ module.exports = async (req, res) => {
       verificationMethod: verifyPlainWebhook ? 'plain-sdk' : 'manual-fallback'
     });
 
-    // Process based on event type
-    switch (eventType) {
-      case 'thread.email_received':
-        await handleEmailReceived(webhookData.payload, requestId);
-        break;
-      
-      case 'thread.chat_received':
-        await handleChatReceived(webhookData.payload, requestId);
-        break;
-      
-      case 'thread.labels_changed':
-        await handleLabelsChanged(webhookData.payload, requestId);
-        break;
-      
-      default:
-        logger.debug('Unhandled event type', { requestId, eventType });
-        break;
+    // Redeliveries of an event get the earlier result instead of being processed again
+    const receipt = await processedEvents.receive(webhookData, requestId);
+    if (receipt.duplicate) {
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: 'Webhook already received',
+        requestId: receipt.event.request_id,
+        status: receipt.event.status,
+        result: receipt.event.result
+      });
     }
 
-    // Webhook processed successfully - ticket data already saved in handleThreadCreated
+    // Queue the event and acknowledge; the process-queue cron classifies it. Inline if the queue is unavailable
+    const jobId = await webhookQueue.enqueue(eventType, webhookData.payload, receipt.requestId);
+    if (!jobId) {
+      await processedEvents.track(receipt.requestId, () => processEvent(eventType, webhookData.payload, receipt.requestId));
+    }
 
     // Send success response
     const processingTime = Date.now() - startTime;
-    logger.info('Webhook processed successfully', {
+    logger.info(jobId ? 'Webhook accepted' : 'Webhook processed successfully', {
       requestId,
       eventType,
+      jobId,
       processingTimeMs: processingTime
     });
 
     res.status(200).json({ 
       success: true, 
-      message: 'Webhook processed successfully',
+      message: jobId ? 'Webhook queued for processing' : 'Webhook processed successfully',
       requestId,
+      jobId,
       processingTimeMs: processingTime
     });
 
@@ -277,6 +295,32 @@ module.exports = async (req, res) => {
   }
 };
 
+/**
+ * Process a verified webhook event (called by the queue worker, or inline)
+ * Returns a summary for duplicate deliveries; throws if the event should be retried
+ */
+async function processEvent(eventType, payload, requestId) {
+  switch (eventType) {
+    case 'thread.email_received':
+      return handleEmailReceived(payload, requestId);
+    
+    case 'thread.chat_received':
+      return handleChatReceived(payload, requestId);
+    
+    case 'thread.labels_changed':
+      return handleLabelsChanged(payload, requestId);
+    
+    case challengerClassifier.EVENT_TYPE:
+      return challengerClassifier.compare(payload.thread, payload.championResult, requestId);
+    
+    default:
+      logger.debug('Unhandled event type', { requestId, eventType });
+      return null;
+  }
+}
+
+module.exports.processEvent = processEvent;
+
 // Helper functions for processing first messages
 async function processFirstMessage(thread, messageContent, requestId) {
   logger.info('Processing first message for classification', {
@@ -298,7 +342,12 @@ async function processFirstMessage(thread, messageContent, requestId) {
       }
     };
 
-    const classification = await priorityClassifier.classifyThread(enhancedThread);
+    // A retry reuses the earlier classification
+    const { classification, latencyMs } = await processedEvents.remember(requestId, 'classification', async () => {
+      const classifyStart = Date.now();
+      const classification = await priorityClassifier.classifyThread(enhancedThread);
+      return { classification, latencyMs: Date.now() - classifyStart };
+    });
     
     logger.info('Thread classified', {
       requestId,
@@ -310,34 +359,51 @@ async function processFirstMessage(thread, messageContent, requestId) {
       messagePreview: messageContent.substring(0, 100)
     });
 
-    // Save ticket to database using the AI classification
-    await database.saveTicket({
-      threadId: thread.id,
-      messageId: null, // We don't have individual message IDs from webhooks
-      firstMessage: messageContent,
-      priorityScore: classification.priorityScore,
-      priorityBand: classification.priorityBand,
-      reasoning: classification.reasoning || `Method: ${classification.method}, Confidence: ${classification.confidence}`
-    });
-
-    // Apply priority label - AI classifier provides more confident results
-    const shouldApplyLabel = classification.confidence === 'high' || 
-                           classification.confidence === 'medium' || 
-                           (typeof classification.confidence === 'number' && classification.confidence >= 0.7);
+    // Apply priority label if confidence meets the band's threshold
+    const shouldApplyLabel = confidencePolicy.shouldAutoApply(classification);
+    let outcome;
 
-    if (shouldApplyLabel) {
-      await plainApiClient.addPriorityLabel(thread.id, classification.priorityBand);
-      
-      logger.info('Priority label applied', {
+    if (shouldApplyLabel && config.shadowMode) {
+      outcome = 'shadow';
+      logger.info('Shadow mode: priority label not applied', {
         requestId,
         threadId: thread.id,
-        priorityBand: classification.priorityBand,
+        wouldApplyBand: classification.priorityBand,
         priorityScore: classification.priorityScore,
         confidence: classification.confidence,
         method: classification.method
       });
+    } else if (shouldApplyLabel) {
+      try {
+        // Writes to Plain run at most once per event; undefined if an earlier attempt failed
+        const labelResult = await processedEvents.once(requestId, 'label', () =>
+          priorityLabeler.applyPriority(thread.id, classification.priorityBand, requestId));
+        outcome = !labelResult ? 'label_failed' : labelResult.applied ? 'applied' : 'manual_priority';
+      } catch (error) {
+        outcome = 'label_failed';
+        logger.error('Failed to apply priority label', {
+          requestId,
+          threadId: thread.id,
+          priorityBand: classification.priorityBand,
+          error: error.message
+        });
+      }
+      
+      if (outcome === 'applied') {
+        logger.info('Priority label applied', {
+          requestId,
+          threadId: thread.id,
+          priorityBand: classification.priorityBand,
+          priorityScore: classification.priorityScore,
+          confidence: classification.confidence,
+          method: classification.method
+        });
+        await processedEvents.once(requestId, 'note', () => classificationNotes.postAppliedNote(thread, classification, requestId));
+        await processedEvents.once(requestId, 'escalation', () => escalationEngine.escalate(thread, classification, requestId));
+      }
     } else {
-      logger.info('Low confidence classification, manual review required', {
+      outcome = 'low_confidence';
+      logger.info('Low confidence classification, flagging for review', {
         requestId,
         threadId: thread.id,
         priorityBand: classification.priorityBand,
@@ -345,8 +411,43 @@ async function processFirstMessage(thread, messageContent, requestId) {
         confidence: classification.confidence,
         method: classification.method
       });
+      await processedEvents.once(requestId, 'review', () => reviewQueue.flagForReview(thread.id, classification, requestId));
     }
 
+    // Record the classification run using the AI classification
+    await processedEvents.remember(requestId, 'save_ticket', () => database.saveTicket({
+      threadId: thread.id,
+      messageId: null, // We don't have individual message IDs from webhooks
+      firstMessage: messageContent,
+      priorityScore: classification.priorityScore,
+      priorityBand: classification.priorityBand,
+      reasoning: classification.reasoning || `Method: ${classification.method}, Confidence: ${classification.confidence}`,
+      message: messageContent,
+      classifier: classification.method || classification.classifier,
+      model: classification.modelUsed || null,
+      promptVersion: classification.promptVersion || null,
+      confidence: classification.confidence,
+      impactScope: classification.impactScope,
+      productArea: classification.productArea,
+      sentiment: classification.sentiment,
+      latencyMs,
+      outcome,
+      shadowMode: config.shadowMode,
+      wouldApplyBand: config.shadowMode && shouldApplyLabel ? classification.priorityBand : null,
+      slaDueAt: slaTracker.dueAtForThread(enhancedThread, classification.priorityBand),
+      rulesVersion: classification.rulesVersion || priorityRuleSet.getVersion()
+    }));
+
+    // Run the challenger on a sample of traffic, as its own job when queued (never affects the applied label)
+    await processedEvents.once(requestId, 'challenger', () => challengerClassifier.scheduleIfSampled(enhancedThread, classification, requestId));
+
+    return {
+      threadId: thread.id,
+      priorityBand: classification.priorityBand,
+      confidence: classification.confidence,
+      outcome
+    };
+
   } catch (error) {
     logger.error('Error processing first message', {
       requestId,
@@ -354,6 +455,7 @@ async function processFirstMessage(thread, messageContent, requestId) {
       error: error.message,
       stack: error.stack
     });
+    throw error; // Retried by the queue
   }
 }
 
@@ -371,19 +473,19 @@ async function handleEmailReceived(payload, requestId) {
     customerEmail: thread?.customer?.email?.email
   });
 
-  // Only process if this is the start of the thread
+  // Follow-ups re-score the conversation according to the follow-up policy
   if (!email?.isStartOfThread) {
-    logger.info('Email received but not start of thread, skipping', {
+    logger.info('Email received but not start of thread, handling as follow-up', {
       requestId,
       threadId: thread.id,
       isStartOfThread: email?.isStartOfThread
     });
-    return;
+    return handleFollowUp(thread, email?.textContent || email?.subject || '', requestId);
   }
 
   try {
-    // Check if this thread already exists in our database
-    const existingTicket = await database.getTicket(thread.id);
+    // Check if this thread already exists in our database (decided once, so a retry doesn't see its own ticket)
+    const existingTicket = await processedEvents.remember(requestId, 'existing_ticket', () => database.getTicket(thread.id));
     
     if (existingTicket) {
       logger.info('Thread already processed, skipping classification', {
@@ -391,7 +493,7 @@ async function handleEmailReceived(payload, requestId) {
         threadId: thread.id,
         existingPriority: existingTicket.priority_band
       });
-      return;
+      return { threadId: thread.id, outcome: 'already_classified' };
     }
 
     // Fetch full thread details including tier information
@@ -403,7 +505,7 @@ async function handleEmailReceived(payload, requestId) {
     const fullThread = await plainApiClient.getThread(thread.id);
     const messageContent = email?.textContent || email?.subject || '';
     
-    await processFirstMessage(fullThread, messageContent, requestId);
+    return await processFirstMessage(fullThread, messageContent, requestId);
 
   } catch (error) {
     logger.error('Error processing email received event', {
@@ -412,6 +514,7 @@ async function handleEmailReceived(payload, requestId) {
       error: error.message,
       stack: error.stack
     });
+    throw error;
   }
 }
 
@@ -428,16 +531,16 @@ async function handleChatReceived(payload, requestId) {
   });
 
   try {
-    // Check if this thread already exists in our database
-    const existingTicket = await database.getTicket(thread.id);
+    // Check if this thread already exists in our database (decided once, so a retry doesn't see its own ticket)
+    const existingTicket = await processedEvents.remember(requestId, 'existing_ticket', () => database.getTicket(thread.id));
     
     if (existingTicket) {
-      logger.info('Thread already processed, skipping classification', {
+      logger.info('Thread already processed, handling chat as follow-up', {
         requestId,
         threadId: thread.id,
         existingPriority: existingTicket.priority_band
       });
-      return;
+      return await handleFollowUp(thread, chat?.text || '', requestId);
     }
 
     // Fetch full thread details including tier information
@@ -449,7 +552,7 @@ async function handleChatReceived(payload, requestId) {
     const fullThread = await plainApiClient.getThread(thread.id);
     const messageContent = chat?.text || '';
     
-    await processFirstMessage(fullThread, messageContent, requestId);
+    return await processFirstMessage(fullThread, messageContent, requestId);
 
   } catch (error) {
     logger.error('Error processing chat received event', {
@@ -458,6 +561,27 @@ async function handleChatReceived(payload, requestId) {
       error: error.message,
       stack: error.stack
     });
+    throw error;
+  }
+}
+
+async function handleFollowUp(thread, messageContent, requestId) {
+  try {
+    const fullThread = await plainApiClient.getThread(thread.id);
+
+    return await processedEvents.once(requestId, 'follow_up', () => followUpReclassifier.reclassify({
+      ...fullThread,
+      customer: { ...thread.customer, ...fullThread.customer }
+    }, messageContent, requestId));
+
+  } catch (error) {
+    logger.error('Error processing follow-up message', {
+      requestId,
+      threadId: thread?.id,
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
   }
 }
 
@@ -487,7 +611,36 @@ async function handleLabelsChanged(payload, requestId) {
         label: l.labelType?.name
       }))
     });
+
+    let override = null;
+    try {
+      override = await processedEvents.once(requestId, 'override', () => priorityFeedback.recordManualOverride(payload, requestId));
+      if (override) {
+        // The agent's band now decides when a response is due
+        await processedEvents.once(requestId, 'sla_reschedule', () => slaTracker.reschedule(thread, override.newBand, requestId));
+      }
+    } catch (error) {
+      logger.error('Error recording manual priority override', {
+        requestId,
+        threadId: thread.id,
+        error: error.message
+      });
+    }
+
+    try {
+      await processedEvents.once(requestId, 'clear_review', () => reviewQueue.clearIfPrioritized(payload, requestId));
+    } catch (error) {
+      logger.error('Error clearing review label', {
+        requestId,
+        threadId: thread.id,
+        error: error.message
+      });
+    }
+
+    return { threadId: thread.id, override: override?.newBand || null };
   }
+
+  return { threadId: thread.id, override: null };
 }
 
 function generateRequestId() {
@@ -12,6 +12,12 @@ const config = {
   
   // Webhook configuration
   webhookEndpointPath: process.env.WEBHOOK_ENDPOINT_PATH || '/webhook/plain',
+  publicBaseUrl: process.env.PUBLIC_BASE_URL || null, // Public URL of this service, used for feedback buttons
+  feedbackSigningSecret: process.env.FEEDBACK_SIGNING_SECRET || null, // Signs feedback button links; no buttons without it
+  feedbackLinkTtlDays: parseInt(process.env.FEEDBACK_LINK_TTL_DAYS) || 30, // Feedback links stop working after this
+  
+  // Post a timeline note explaining every applied priority label
+  classificationNotesEnabled: process.env.CLASSIFICATION_NOTES !== 'false',
   
   // Priority label configuration
   priorityLabels: {
@@ -21,12 +27,143 @@ const config = {
     P3: process.env.LABEL_P3_ID
   },
   
+  // When a thread already has a priority set by an agent: 'respect' (leave it),
+  // 'escalate' (only replace it with a more urgent band) or 'replace'
+  manualPriorityPolicy: process.env.MANUAL_PRIORITY_POLICY || 'respect',
+  
+  // Label added to low-confidence threads so agents can triage them (e.g. "Needs triage")
+  reviewLabelId: process.env.LABEL_NEEDS_TRIAGE_ID,
+  
+  // Customer tiers: Plain tier, customer group, company and domain names are mapped to the
+  // internal tiers used in priorityRules. Patterns match whole words, case-insensitive; first match wins.
+  // TIER_MAPPING entries, e.g. "Enterprise Plus=custom,acme.com=pro", are checked first and are the
+  // only ones applied to company names and domains
+  tierMapping: (process.env.TIER_MAPPING || '').split(',').map(entry => entry.split('='))
+    .filter(([pattern, tier]) => pattern && pattern.trim() && tier && tier.trim())
+    .map(([pattern, tier]) => ({ pattern: pattern.trim(), tier: tier.trim().toLowerCase() })),
+  // Built-in plan names, applied to Plain tier and customer group names only
+  defaultTierMapping: [
+    { pattern: 'trial', tier: 'trial' },
+    { pattern: 'trialing', tier: 'trial' },
+    { pattern: 'enterprise', tier: 'custom' },
+    { pattern: 'premium', tier: 'custom' },
+    { pattern: 'custom', tier: 'custom' },
+    { pattern: 'pro', tier: 'pro' },
+    { pattern: 'professional', tier: 'pro' },
+    { pattern: 'business', tier: 'pro' },
+    { pattern: 'hobby', tier: 'hobby' },
+    { pattern: 'personal', tier: 'hobby' },
+    { pattern: 'free', tier: 'hobby' }
+  ],
+  defaultCustomerTier: process.env.DEFAULT_CUSTOMER_TIER || 'hobby', // When nothing maps
+  tierCacheTtlSeconds: parseInt(process.env.TIER_CACHE_TTL_SECONDS) || 3600, // Tiers looked up from customer data are cached per customer
+  
+  // Customer signals (VIP, MRR band, open incidents, recent ticket volume) from a CSV/JSON file or the customer_signals table
+  customerSignals: {
+    source: process.env.CUSTOMER_SIGNALS_SOURCE || (process.env.CUSTOMER_SIGNALS_FILE ? 'file' : 'none'), // 'none', 'file' or 'database'
+    file: process.env.CUSTOMER_SIGNALS_FILE || null,
+    reloadIntervalSeconds: parseInt(process.env.CUSTOMER_SIGNALS_RELOAD_INTERVAL_SECONDS) || 300,
+    // Boost policy: bands a ticket moves toward P0 for each signal, capped at maxBoost and never above highestBand
+    policy: {
+      vip: 1,
+      mrrBands: { enterprise: 1, high: 1 },
+      openIncidents: { min: 1, boost: 1 },
+      recentTickets: { min: 5, boost: 1 },
+      maxBoost: parseInt(process.env.CUSTOMER_SIGNALS_MAX_BOOST ?? '1') || 0,
+      highestBand: process.env.CUSTOMER_SIGNALS_HIGHEST_BAND || 'P1' // P0 stays a decision about the content
+    }
+  },
+  
   // AI/ML configuration
   openaiApiKey: process.env.OPENAI_API_KEY,
   claudeApiKey: process.env.CLAUDE_API_KEY,
-  aiModel: process.env.AI_MODEL || 'claude-3-5-sonnet-20241022',
+  openaiBaseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1', // Any OpenAI-compatible endpoint
+  aiProvider: process.env.AI_PROVIDER || (process.env.CLAUDE_API_KEY || !process.env.OPENAI_API_KEY ? 'anthropic' : 'openai'), // 'anthropic', 'openai' or 'mock'
+  aiModel: process.env.AI_MODEL || null, // Defaults to the provider's model (claude-3-5-sonnet-20241022 / gpt-4o-mini)
   aiTemperature: parseFloat(process.env.AI_TEMPERATURE) || 0.1,
   aiClassifierType: process.env.AI_CLASSIFIER_TYPE || 'ai', // 'ai', 'rules', or 'hybrid' - defaults to AI
+  aiExampleSelection: process.env.AI_EXAMPLE_SELECTION || 'recent', // 'recent', 'labeled' (human-confirmed, balanced by band) or 'similar'
+  aiSimilarityPoolSize: parseInt(process.env.AI_SIMILARITY_POOL_SIZE) || 500, // Past tickets searched in 'similar' mode
+  aiEmbeddingProvider: process.env.AI_EMBEDDING_PROVIDER || null, // 'openai' (any OpenAI-compatible API) ranks 'similar' examples by embeddings; empty uses TF-IDF
+  aiEmbeddingModel: process.env.AI_EMBEDDING_MODEL || null, // Defaults to the provider's embedding model (text-embedding-3-small)
+  aiConfidenceSamples: parseInt(process.env.AI_CONFIDENCE_SAMPLES) || 1, // >1 adds extra samples to measure band agreement
+  aiSampleTemperature: parseFloat(process.env.AI_SAMPLE_TEMPERATURE) || 0.7, // Temperature for the extra samples
+  
+  // Minimum confidence (0..1) to auto-apply each band; below it the ticket goes to review
+  confidenceThresholds: {
+    P0: parseFloat(process.env.CONFIDENCE_THRESHOLD_P0) || 0.8,
+    P1: parseFloat(process.env.CONFIDENCE_THRESHOLD_P1) || 0.75,
+    P2: parseFloat(process.env.CONFIDENCE_THRESHOLD_P2) || 0.7,
+    P3: parseFloat(process.env.CONFIDENCE_THRESHOLD_P3) || 0.7
+  },
+  
+  // Follow-up messages: 'off', 'escalate' (re-score and only raise the band) or 'any' (raise or lower)
+  followUpPolicy: process.env.FOLLOW_UP_POLICY || 'escalate',
+  
+  // Champion/challenger: run a second classifier on a sample of live traffic and store the comparison
+  challengerClassifier: process.env.CHALLENGER_CLASSIFIER || null, // 'rules' or 'ai' - disabled when unset
+  challengerProvider: process.env.CHALLENGER_AI_PROVIDER || null, // AI challenger only, defaults to aiProvider
+  challengerModel: process.env.CHALLENGER_AI_MODEL || null, // AI challenger only, defaults to aiModel when on the same provider
+  challengerExampleSelection: process.env.CHALLENGER_EXAMPLE_SELECTION || null, // AI challenger only, defaults to aiExampleSelection
+  challengerPromptFile: process.env.CHALLENGER_PROMPT_FILE || null, // AI challenger only, text file replacing the prompt instructions (band rules and output fields)
+  challengerSampleRate: parseFloat(process.env.CHALLENGER_SAMPLE_RATE) || 0, // 0..1 share of classified threads
+  
+  // Escalation: runs after a label is applied, driven by each band's escalationRules
+  escalation: {
+    onCallUserId: process.env.ON_CALL_USER_ID || null, // Preferred assignee when set
+    assigneePool: (process.env.ESCALATION_ASSIGNEE_POOL || '').split(',').map(id => id.trim()).filter(Boolean), // Round-robin otherwise
+    notifier: process.env.ESCALATION_NOTIFIER || null, // 'webhook', 'slack' or 'email' - disabled when unset
+    notifierUrl: process.env.ESCALATION_WEBHOOK_URL || null, // webhook and slack notifiers
+    notifierEmail: process.env.ESCALATION_EMAIL_TO || null // email notifier
+  },
+  
+  // Business-hours calendars for hours-since-created and SLA due times
+  businessHours: {
+    calendars: {
+      '24x7': { alwaysOpen: true },
+      business: {
+        timeZone: process.env.BUSINESS_HOURS_TIMEZONE || 'UTC', // IANA time zone, e.g. Europe/London
+        workingDays: (process.env.BUSINESS_HOURS_DAYS || 'mon,tue,wed,thu,fri').split(',').map(day => day.trim()).filter(Boolean),
+        start: process.env.BUSINESS_HOURS_START || '09:00',
+        end: process.env.BUSINESS_HOURS_END || '17:00',
+        holidays: (process.env.BUSINESS_HOLIDAYS || '').split(',').map(day => day.trim()).filter(Boolean) // YYYY-MM-DD, or MM-DD every year
+      }
+    },
+    // Calendar per customer tier; tiers not listed use defaultCalendar
+    tierCalendars: {
+      custom: '24x7',
+      hobby: 'business'
+    },
+    defaultCalendar: process.env.BUSINESS_CALENDAR_DEFAULT || 'business'
+  },
+  
+  // SLA tracking: each thread is due a response within its band's timeThresholds.response
+  sla: {
+    breachedLabelId: process.env.LABEL_SLA_BREACHED_ID || null, // Label added when a deadline passes (e.g. "SLA breached")
+    checkIntervalMinutes: parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES ?? '5') || 0 // Breach check interval for server.js, 0 disables
+  },
+  
+  // Vercel cron jobs (SLA check and webhook queue worker)
+  cron: {
+    secret: process.env.CRON_SECRET || null // Bearer token required by the /api/cron endpoints
+  },
+  
+  // Webhook queue: events are stored in webhook_jobs and acknowledged, then classified by a worker
+  queue: {
+    enabled: process.env.WEBHOOK_QUEUE_ENABLED !== 'false', // 'false' processes webhooks inline, before responding
+    pollIntervalSeconds: parseInt(process.env.QUEUE_POLL_INTERVAL_SECONDS ?? '2') || 0, // Worker poll interval for server.js, 0 disables
+    batchSize: parseInt(process.env.QUEUE_BATCH_SIZE) || 10,
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5, // Then the event is moved to webhook_dead_letters
+    backoffBaseSeconds: parseInt(process.env.QUEUE_BACKOFF_BASE_SECONDS) || 30, // Doubled after every failed attempt
+    backoffMaxSeconds: parseInt(process.env.QUEUE_BACKOFF_MAX_SECONDS) || 3600,
+    lockTimeoutSeconds: parseInt(process.env.QUEUE_LOCK_TIMEOUT_SECONDS) || 300 // A job locked longer than this is picked up again
+  },
+  
+  // A received event still unfinished after this (and not queued) is taken over by its redelivery
+  webhookEventLeaseSeconds: parseInt(process.env.WEBHOOK_EVENT_LEASE_SECONDS) || 600,
+  
+  // Shadow mode: classify and store results without writing labels to Plain
+  shadowMode: process.env.SHADOW_MODE === 'true',
   
   // Logging configuration
   logLevel: process.env.LOG_LEVEL || 'info',
@@ -40,12 +177,20 @@ const config = {
   databaseUrl: process.env.DATABASE_URL,
   supabaseUrl: process.env.SUPABASE_URL,
   supabaseAnonKey: process.env.SUPABASE_ANON_KEY,
+  runMigrationsOnStartup: process.env.RUN_MIGRATIONS_ON_STARTUP !== 'false', // Apply pending migrations on connect
   
   // Monitoring configuration (optional)
   sentryDsn: process.env.SENTRY_DSN,
   newRelicLicenseKey: process.env.NEW_RELIC_LICENSE_KEY,
   
-  // Priority classification rules
+  // Where priority rules come from: 'config' (priorityRules below), 'file' (JSON or YAML) or 'database' (priority_rule_sets)
+  rules: {
+    source: process.env.RULES_SOURCE || (process.env.RULES_FILE ? 'file' : 'config'),
+    file: process.env.RULES_FILE || null,
+    reloadIntervalSeconds: parseInt(process.env.RULES_RELOAD_INTERVAL_SECONDS ?? '60') || 0 // How often to check for a new version, 0 checks every time
+  },
+  
+  // Priority classification rules (built-in rule set, version 'builtin')
   priorityRules: {
     // P0 - Critical/Emergency (immediate response required)
     P0: {
@@ -60,8 +205,8 @@ const config = {
         response: 60 * 15 // 15 minutes
       },
       escalationRules: {
-        autoAssign: false,
-        notifyManagement: false
+        autoAssign: true,
+        notifyManagement: true
       }
     },
     
@@ -77,7 +222,7 @@ const config = {
         response: 60 * 60 * 8 // 8 hours
       },
       escalationRules: {
-        autoAssign: false,
+        autoAssign: true,
         notifyManagement: false
       }
     },
@@ -0,0 +1,37 @@
+/**
+ * Quick Feedback Handler
+ *
+ * Receives clicks on the feedback buttons of classification timeline notes.
+ */
+
+const logger = require('../utils/logger');
+const classificationNotes = require('../services/classificationNotes');
+
+/**
+ * Handle a feedback button click (GET with signed query parameters)
+ */
+async function handleFeedback(req, res) {
+  try {
+    const { valid, expired } = await classificationNotes.recordFeedback(req.query || {});
+
+    if (expired) {
+      return res.status(410).send('This feedback link has expired.');
+    }
+
+    if (!valid) {
+      return res.status(400).send('Invalid feedback link.');
+    }
+
+    res.status(200).send('Thanks, your feedback was recorded. You can close this tab.');
+  } catch (error) {
+    logger.error('Failed to handle classification feedback', {
+      error: error.message,
+      threadId: req.query?.threadId
+    });
+    res.status(500).send('Could not record feedback.');
+  }
+}
+
+module.exports = {
+  handleFeedback
+};
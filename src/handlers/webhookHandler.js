@@ -7,7 +7,19 @@ import {
 const logger = require('../utils/logger');
 const config = require('../config/config');
 const priorityClassifier = require('../services/hybridPriorityClassifier'); // Use AI-powered hybrid classifier
-const plainApiClient = require('../services/plainApiClient');
+const database = require('../services/database');
+const priorityFeedback = require('../services/priorityFeedback');
+const challengerClassifier = require('../services/challengerClassifier');
+const followUpReclassifier = require('../services/followUpReclassifier');
+const confidencePolicy = require('../services/confidencePolicy');
+const reviewQueue = require('../services/reviewQueue');
+const classificationNotes = require('../services/classificationNotes');
+const priorityLabeler = require('../services/priorityLabeler');
+const escalationEngine = require('../services/escalationEngine');
+const slaTracker = require('../services/slaTracker');
+const priorityRuleSet = require('../services/priorityRuleSet');
+const webhookQueue = require('../services/webhookQueue');
+const processedEvents = require('../services/processedEvents');
 
 /**
  * Main webhook handler for Plain events
@@ -76,37 +88,39 @@ async function handlePlainWebhook(req, res) {
       workspaceId
     });
 
-    // Process based on event type
-    switch (eventType) {
-      case 'thread.thread_created':
-        await handleThreadCreated(webhookData.payload, requestId);
-        break;
-      
-      case 'thread.email_received':
-        await handleEmailReceived(webhookData.payload, requestId);
-        break;
-      
-      case 'thread.labels_changed':
-        await handleLabelsChanged(webhookData.payload, requestId);
-        break;
-      
-      default:
-        logger.debug('Unhandled event type', { requestId, eventType });
-        break;
+    // Redeliveries of an event get the earlier result instead of being processed again
+    const receipt = await processedEvents.receive(webhookData, requestId);
+    if (receipt.duplicate) {
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: 'Webhook already received',
+        requestId: receipt.event.request_id,
+        status: receipt.event.status,
+        result: receipt.event.result
+      });
+    }
+
+    // Queue the event and acknowledge; the worker classifies it. Inline if the queue is unavailable
+    const jobId = await webhookQueue.enqueue(eventType, webhookData.payload, receipt.requestId);
+    if (!jobId) {
+      await processedEvents.track(receipt.requestId, () => processEvent(eventType, webhookData.payload, receipt.requestId));
     }
 
     // Send success response
     const processingTime = Date.now() - startTime;
-    logger.info('Webhook processed successfully', {
+    logger.info(jobId ? 'Webhook accepted' : 'Webhook processed successfully', {
       requestId,
       eventType,
+      jobId,
       processingTimeMs: processingTime
     });
 
     res.status(200).json({ 
       success: true, 
-      message: 'Webhook processed successfully',
+      message: jobId ? 'Webhook queued for processing' : 'Webhook processed successfully',
       requestId,
+      jobId,
       processingTimeMs: processingTime
     });
 
@@ -126,6 +140,30 @@ async function handlePlainWebhook(req, res) {
   }
 }
 
+/**
+ * Process a verified webhook event (called by the queue worker, or inline)
+ * Returns a summary for duplicate deliveries; throws if the event should be retried
+ */
+async function processEvent(eventType, payload, requestId) {
+  switch (eventType) {
+    case 'thread.thread_created':
+      return handleThreadCreated(payload, requestId);
+    
+    case 'thread.email_received':
+      return handleEmailReceived(payload, requestId);
+    
+    case 'thread.labels_changed':
+      return handleLabelsChanged(payload, requestId);
+    
+    case challengerClassifier.EVENT_TYPE:
+      return challengerClassifier.compare(payload.thread, payload.championResult, requestId);
+    
+    default:
+      logger.debug('Unhandled event type', { requestId, eventType });
+      return null;
+  }
+}
+
 /**
  * Handle thread created events
  */
@@ -140,8 +178,12 @@ async function handleThreadCreated(payload, requestId) {
   });
 
   try {
-    // Classify the thread priority using AI-powered classifier
-    const classification = await priorityClassifier.classifyThread(thread);
+    // Classify the thread priority using AI-powered classifier (a retry reuses the earlier classification)
+    const { classification, latencyMs } = await processedEvents.remember(requestId, 'classification', async () => {
+      const classifyStart = Date.now();
+      const classification = await priorityClassifier.classifyThread(thread);
+      return { classification, latencyMs: Date.now() - classifyStart };
+    });
     
     logger.info('Thread classified', {
       requestId,
@@ -152,31 +194,93 @@ async function handleThreadCreated(payload, requestId) {
       method: classification.method
     });
 
-    // Apply the priority label if confidence is high enough
-    const shouldApplyLabel = classification.confidence === 'high' || 
-                           classification.confidence === 'medium' || 
-                           (typeof classification.confidence === 'number' && classification.confidence >= 0.7);
+    // Apply the priority label if confidence meets the band's threshold
+    const shouldApplyLabel = confidencePolicy.shouldAutoApply(classification);
+    let outcome;
 
-    if (shouldApplyLabel) {
-      await plainApiClient.addPriorityLabel(thread.id, classification.priorityBand);
-      
-      logger.info('Priority label applied', {
+    if (shouldApplyLabel && config.shadowMode) {
+      outcome = 'shadow';
+      logger.info('Shadow mode: priority label not applied', {
         requestId,
         threadId: thread.id,
-        priorityBand: classification.priorityBand,
+        wouldApplyBand: classification.priorityBand,
         priorityScore: classification.priorityScore,
         confidence: classification.confidence
       });
+    } else if (shouldApplyLabel) {
+      try {
+        // Writes to Plain run at most once per event; undefined if an earlier attempt failed
+        const labelResult = await processedEvents.once(requestId, 'label', () =>
+          priorityLabeler.applyPriority(thread.id, classification.priorityBand, requestId));
+        outcome = !labelResult ? 'label_failed' : labelResult.applied ? 'applied' : 'manual_priority';
+      } catch (error) {
+        outcome = 'label_failed';
+        logger.error('Failed to apply priority label', {
+          requestId,
+          threadId: thread.id,
+          priorityBand: classification.priorityBand,
+          error: error.message
+        });
+      }
+      
+      if (outcome === 'applied') {
+        logger.info('Priority label applied', {
+          requestId,
+          threadId: thread.id,
+          priorityBand: classification.priorityBand,
+          priorityScore: classification.priorityScore,
+          confidence: classification.confidence
+        });
+        await processedEvents.once(requestId, 'note', () => classificationNotes.postAppliedNote(thread, classification, requestId));
+        await processedEvents.once(requestId, 'escalation', () => escalationEngine.escalate(thread, classification, requestId));
+      }
     } else {
-      logger.info('Low confidence classification, manual review required', {
+      outcome = 'low_confidence';
+      logger.info('Low confidence classification, flagging for review', {
         requestId,
         threadId: thread.id,
         priorityBand: classification.priorityBand,
         priorityScore: classification.priorityScore,
         confidence: classification.confidence
       });
+      await processedEvents.once(requestId, 'review', () => reviewQueue.flagForReview(thread.id, classification, requestId));
     }
 
+    const firstMessage = thread.firstMessage?.textContent || thread.previewText || thread.title || '';
+
+    await processedEvents.remember(requestId, 'save_ticket', () => database.saveTicket({
+      threadId: thread.id,
+      messageId: thread.firstMessage?.id || null,
+      firstMessage,
+      priorityScore: classification.priorityScore,
+      priorityBand: classification.priorityBand,
+      reasoning: classification.reasoning || `Method: ${classification.method}, Confidence: ${classification.confidence}`,
+      message: firstMessage,
+      classifier: classification.method || classification.classifier,
+      model: classification.modelUsed || null,
+      promptVersion: classification.promptVersion || null,
+      confidence: classification.confidence,
+      impactScope: classification.impactScope,
+      productArea: classification.productArea,
+      sentiment: classification.sentiment,
+      latencyMs,
+      outcome,
+      shadowMode: config.shadowMode,
+      wouldApplyBand: config.shadowMode && shouldApplyLabel ? classification.priorityBand : null,
+      slaDueAt: slaTracker.dueAtForThread(thread, classification.priorityBand),
+      rulesVersion: classification.rulesVersion || priorityRuleSet.getVersion()
+    }));
+
+    // Run the challenger on a sample of traffic, as its own job when queued (never affects the applied label)
+    await processedEvents.once(requestId, 'challenger', () => challengerClassifier.scheduleIfSampled(thread, classification, requestId));
+
+    return {
+      threadId: thread.id,
+      priorityBand: classification.priorityBand,
+      confidence: classification.confidence,
+      outcome
+    };
+
   } catch (error) {
     logger.error('Error processing thread created event', {
       requestId,
@@ -184,6 +288,7 @@ async function handleThreadCreated(payload, requestId) {
       error: error.message,
       stack: error.stack
     });
+    throw error; // Retried by the queue
   }
 }
 
@@ -194,13 +299,26 @@ async function handleEmailReceived(payload, requestId) {
   const thread = payload.thread;
   const isStartOfThread = payload.isStartOfThread;
   
-  // Only process if this is the start of a new thread
+  // Follow-ups re-score the conversation according to the follow-up policy
   if (!isStartOfThread) {
-    logger.debug('Email received but not start of thread, skipping', {
+    logger.debug('Email received but not start of thread, handling as follow-up', {
       requestId,
       threadId: thread.id
     });
-    return;
+
+    try {
+      const email = payload.email || {};
+      return await processedEvents.once(requestId, 'follow_up', () =>
+        followUpReclassifier.reclassify(thread, email.textContent || email.subject || '', requestId));
+    } catch (error) {
+      logger.error('Error processing follow-up email', {
+        requestId,
+        threadId: thread.id,
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    }
   }
   
   logger.info('Processing email received event (start of thread)', {
@@ -211,7 +329,7 @@ async function handleEmailReceived(payload, requestId) {
   });
 
   // Reuse the same logic as thread created
-  await handleThreadCreated(payload, requestId);
+  return handleThreadCreated(payload, requestId);
 }
 
 /**
@@ -245,9 +363,35 @@ async function handleLabelsChanged(payload, requestId) {
       }))
     });
 
-    // TODO: Implement feedback loop to improve classification
-    // This could involve storing the manual override for training data
+    let override = null;
+    try {
+      override = await processedEvents.once(requestId, 'override', () => priorityFeedback.recordManualOverride(payload, requestId));
+      if (override) {
+        // The agent's band now decides when a response is due
+        await processedEvents.once(requestId, 'sla_reschedule', () => slaTracker.reschedule(thread, override.newBand, requestId));
+      }
+    } catch (error) {
+      logger.error('Error recording manual priority override', {
+        requestId,
+        threadId: thread.id,
+        error: error.message
+      });
+    }
+
+    try {
+      await processedEvents.once(requestId, 'clear_review', () => reviewQueue.clearIfPrioritized(payload, requestId));
+    } catch (error) {
+      logger.error('Error clearing review label', {
+        requestId,
+        threadId: thread.id,
+        error: error.message
+      });
+    }
+
+    return { threadId: thread.id, override: override?.newBand || null };
   }
+
+  return { threadId: thread.id, override: null };
 }
 
 /**
@@ -259,6 +403,7 @@ function generateRequestId() {
 
 module.exports = {
   handlePlainWebhook,
+  processEvent,
   handleThreadCreated,
   handleEmailReceived,
   handleLabelsChanged
@@ -0,0 +1,177 @@
+/**
+ * Initial schema: everything created by the old createTables() block
+ *
+ * Written to be safe on databases that were set up before migrations existed,
+ * so every statement tolerates objects that are already there.
+ */
+module.exports = {
+  version: '001',
+  name: 'initial_schema',
+  up: `
+    -- Append-only history: one row per classification run
+    CREATE TABLE IF NOT EXISTS classification_events (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      thread_id text NOT NULL,
+      revision integer NOT NULL,
+      trigger text NOT NULL DEFAULT 'initial', -- 'initial' or 'follow_up'
+      message text,
+      classifier text,
+      model text,
+      prompt_version text,
+      priority_score integer,
+      priority_band text,
+      previous_band text,
+      reasoning text, -- for debugging LLM decisions
+      confidence text,
+      latency_ms integer,
+      outcome text, -- 'applied', 'shadow', 'low_confidence', 'not_applied' or 'label_failed'
+      shadow_mode boolean DEFAULT false,
+      would_apply_band text,
+      accepted boolean DEFAULT true, -- whether this run set the thread's current classification
+      created_at timestamp with time zone DEFAULT now(),
+      UNIQUE (thread_id, revision)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_classification_events_thread_id ON classification_events(thread_id, revision DESC);
+    CREATE INDEX IF NOT EXISTS idx_classification_events_created_at ON classification_events(created_at DESC);
+
+    -- Move the old upserted tickets table to ticket_threads and backfill its history
+    DO $$
+    BEGIN
+      IF EXISTS (
+        SELECT 1 FROM information_schema.tables
+        WHERE table_schema = current_schema() AND table_name = 'tickets' AND table_type = 'BASE TABLE'
+      ) THEN
+        ALTER TABLE tickets RENAME TO ticket_threads;
+        ALTER TABLE ticket_threads
+          ADD COLUMN IF NOT EXISTS shadow_mode boolean DEFAULT false,
+          ADD COLUMN IF NOT EXISTS would_apply_band text,
+          ADD COLUMN IF NOT EXISTS revision integer DEFAULT 1;
+
+        IF EXISTS (
+          SELECT 1 FROM information_schema.tables
+          WHERE table_schema = current_schema() AND table_name = 'ticket_revisions'
+        ) THEN
+          INSERT INTO classification_events (
+            thread_id, revision, trigger, message, classifier, priority_score, priority_band,
+            previous_band, reasoning, outcome, accepted, created_at
+          )
+          SELECT r.thread_id, r.revision, r.trigger, r.message, r.method, r.priority_score, r.priority_band,
+            r.previous_band, r.reasoning, CASE WHEN r.applied THEN 'applied' ELSE 'not_applied' END,
+            r.revision = 1 OR r.revision = t.revision, r.created_at
+          FROM ticket_revisions r
+          JOIN ticket_threads t ON t.thread_id = r.thread_id
+          ON CONFLICT (thread_id, revision) DO NOTHING;
+
+          DROP TABLE ticket_revisions;
+        END IF;
+
+        INSERT INTO classification_events (
+          thread_id, revision, trigger, message, priority_score, priority_band, reasoning,
+          shadow_mode, would_apply_band, accepted, created_at
+        )
+        SELECT thread_id, COALESCE(revision, 1), 'initial', first_message, priority_score, priority_band, reasoning,
+          COALESCE(shadow_mode, false), would_apply_band, true, COALESCE(processed_at, created_at)
+        FROM ticket_threads
+        WHERE priority_band IS NOT NULL
+        ON CONFLICT (thread_id, revision) DO NOTHING;
+
+        ALTER TABLE ticket_threads
+          DROP COLUMN IF EXISTS priority_score,
+          DROP COLUMN IF EXISTS priority_band,
+          DROP COLUMN IF EXISTS reasoning,
+          DROP COLUMN IF EXISTS processed_at,
+          DROP COLUMN IF EXISTS shadow_mode,
+          DROP COLUMN IF EXISTS would_apply_band,
+          DROP COLUMN IF EXISTS revision;
+      END IF;
+    END $$;
+
+    -- One row per thread: what doesn't change between classification runs
+    CREATE TABLE IF NOT EXISTS ticket_threads (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      thread_id text NOT NULL UNIQUE,
+      message_id text,
+      first_message text NOT NULL,
+      created_at timestamp with time zone DEFAULT now(),
+      updated_at timestamp with time zone DEFAULT now()
+    );
+
+    -- Indexes for fast lookups
+    CREATE INDEX IF NOT EXISTS idx_tickets_thread_id ON ticket_threads(thread_id);
+    CREATE INDEX IF NOT EXISTS idx_tickets_created_at ON ticket_threads(created_at DESC);
+
+    -- Manual priority overrides (feedback loop from thread.labels_changed)
+    ALTER TABLE ticket_threads ADD COLUMN IF NOT EXISTS override_previous_band text;
+    ALTER TABLE ticket_threads ADD COLUMN IF NOT EXISTS override_band text;
+    ALTER TABLE ticket_threads ADD COLUMN IF NOT EXISTS override_by text;
+    ALTER TABLE ticket_threads ADD COLUMN IF NOT EXISTS override_at timestamp with time zone;
+    CREATE INDEX IF NOT EXISTS idx_tickets_override_at ON ticket_threads(override_at DESC);
+
+    -- Current state per thread: the latest accepted classification run
+    CREATE OR REPLACE VIEW tickets AS
+    SELECT
+      t.id,
+      t.thread_id,
+      t.message_id,
+      t.first_message,
+      e.priority_score,
+      e.priority_band,
+      e.reasoning,
+      e.created_at AS processed_at,
+      t.created_at,
+      t.updated_at,
+      t.override_previous_band,
+      t.override_band,
+      t.override_by,
+      t.override_at,
+      e.shadow_mode,
+      e.would_apply_band,
+      e.revision,
+      e.classifier,
+      e.model,
+      e.prompt_version,
+      e.confidence,
+      e.outcome
+    FROM ticket_threads t
+    LEFT JOIN LATERAL (
+      SELECT * FROM classification_events ce
+      WHERE ce.thread_id = t.thread_id AND ce.accepted
+      ORDER BY ce.revision DESC
+      LIMIT 1
+    ) e ON true;
+
+    -- Champion/challenger comparisons, one row per sampled classification
+    CREATE TABLE IF NOT EXISTS classification_comparisons (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      thread_id text NOT NULL,
+      champion_method text,
+      champion_band text,
+      champion_score integer,
+      champion_result jsonb,
+      challenger_name text NOT NULL,
+      challenger_band text,
+      challenger_score integer,
+      challenger_result jsonb,
+      band_agreement boolean,
+      score_difference integer,
+      agreement boolean,
+      created_at timestamp with time zone DEFAULT now()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_comparisons_thread_id ON classification_comparisons(thread_id);
+    CREATE INDEX IF NOT EXISTS idx_comparisons_created_at ON classification_comparisons(created_at DESC);
+
+    -- Enable Row Level Security (good practice)
+    ALTER TABLE ticket_threads ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE classification_events ENABLE ROW LEVEL SECURITY;
+
+    -- Policy to allow service role to do everything (for your API)
+    DROP POLICY IF EXISTS "Service role can do everything" ON ticket_threads;
+    CREATE POLICY "Service role can do everything" ON ticket_threads
+    FOR ALL USING (true); -- Simplified for now, you can adjust based on your auth setup
+    DROP POLICY IF EXISTS "Service role can do everything" ON classification_events;
+    CREATE POLICY "Service role can do everything" ON classification_events
+    FOR ALL USING (true);
+  `
+};
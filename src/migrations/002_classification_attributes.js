@@ -0,0 +1,48 @@
+/**
+ * Extra attributes from structured AI output: impact scope, product area and sentiment
+ */
+module.exports = {
+  version: '002',
+  name: 'classification_attributes',
+  up: `
+    ALTER TABLE classification_events ADD COLUMN IF NOT EXISTS impact_scope text;
+    ALTER TABLE classification_events ADD COLUMN IF NOT EXISTS product_area text;
+    ALTER TABLE classification_events ADD COLUMN IF NOT EXISTS sentiment text;
+
+    -- New view columns can only be appended
+    CREATE OR REPLACE VIEW tickets AS
+    SELECT
+      t.id,
+      t.thread_id,
+      t.message_id,
+      t.first_message,
+      e.priority_score,
+      e.priority_band,
+      e.reasoning,
+      e.created_at AS processed_at,
+      t.created_at,
+      t.updated_at,
+      t.override_previous_band,
+      t.override_band,
+      t.override_by,
+      t.override_at,
+      e.shadow_mode,
+      e.would_apply_band,
+      e.revision,
+      e.classifier,
+      e.model,
+      e.prompt_version,
+      e.confidence,
+      e.outcome,
+      e.impact_scope,
+      e.product_area,
+      e.sentiment
+    FROM ticket_threads t
+    LEFT JOIN LATERAL (
+      SELECT * FROM classification_events ce
+      WHERE ce.thread_id = t.thread_id AND ce.accepted
+      ORDER BY ce.revision DESC
+      LIMIT 1
+    ) e ON true;
+  `
+};
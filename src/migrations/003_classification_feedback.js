@@ -0,0 +1,23 @@
+/**
+ * Quick feedback from the buttons on classification timeline notes
+ */
+module.exports = {
+  version: '003',
+  name: 'classification_feedback',
+  up: `
+    CREATE TABLE IF NOT EXISTS classification_feedback (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      thread_id text NOT NULL,
+      priority_band text NOT NULL, -- band the feedback is about
+      verdict text NOT NULL, -- 'correct', 'should_be_higher' or 'should_be_lower'
+      created_at timestamp with time zone DEFAULT now()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_feedback_thread_id ON classification_feedback(thread_id);
+
+    ALTER TABLE classification_feedback ENABLE ROW LEVEL SECURITY;
+    DROP POLICY IF EXISTS "Service role can do everything" ON classification_feedback;
+    CREATE POLICY "Service role can do everything" ON classification_feedback
+    FOR ALL USING (true);
+  `
+};
@@ -0,0 +1,29 @@
+/**
+ * Audit trail for escalation actions (assignments and management notifications)
+ */
+module.exports = {
+  version: '004',
+  name: 'escalations',
+  up: `
+    CREATE TABLE IF NOT EXISTS escalations (
+      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+      thread_id text NOT NULL,
+      priority_band text,
+      reason text NOT NULL, -- what triggered it, e.g. 'classification'
+      action text NOT NULL, -- 'assign' or 'notify'
+      target text, -- assigned user ID or notifier name
+      success boolean NOT NULL,
+      error text,
+      created_at timestamp with time zone DEFAULT now()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_escalations_thread_id ON escalations(thread_id);
+    -- Round-robin looks up the latest assignment per user
+    CREATE INDEX IF NOT EXISTS idx_escalations_assignments ON escalations(action, target, created_at DESC);
+
+    ALTER TABLE escalations ENABLE ROW LEVEL SECURITY;
+    DROP POLICY IF EXISTS "Service role can do everything" ON escalations;
+    CREATE POLICY "Service role can do everything" ON escalations
+    FOR ALL USING (true);
+  `
+};
@@ -0,0 +1,54 @@
+/**
+ * SLA tracking: response deadline per thread, first agent response and breach time
+ */
+module.exports = {
+  version: '005',
+  name: 'sla_tracking',
+  up: `
+    ALTER TABLE ticket_threads ADD COLUMN IF NOT EXISTS sla_due_at timestamp with time zone;
+    ALTER TABLE ticket_threads ADD COLUMN IF NOT EXISTS sla_responded_at timestamp with time zone; -- first agent response (or thread closed)
+    ALTER TABLE ticket_threads ADD COLUMN IF NOT EXISTS sla_breached_at timestamp with time zone;
+
+    -- The breach check only looks at open deadlines
+    CREATE INDEX IF NOT EXISTS idx_ticket_threads_sla_open ON ticket_threads(sla_due_at)
+    WHERE sla_responded_at IS NULL AND sla_breached_at IS NULL;
+
+    CREATE OR REPLACE VIEW tickets AS
+    SELECT
+      t.id,
+      t.thread_id,
+      t.message_id,
+      t.first_message,
+      e.priority_score,
+      e.priority_band,
+      e.reasoning,
+      e.created_at AS processed_at,
+      t.created_at,
+      t.updated_at,
+      t.override_previous_band,
+      t.override_band,
+      t.override_by,
+      t.override_at,
+      e.shadow_mode,
+      e.would_apply_band,
+      e.revision,
+      e.classifier,
+      e.model,
+      e.prompt_version,
+      e.confidence,
+      e.outcome,
+      e.impact_scope,
+      e.product_area,
+      e.sentiment,
+      t.sla_due_at,
+      t.sla_responded_at,
+      t.sla_breached_at
+    FROM ticket_threads t
+    LEFT JOIN LATERAL (
+      SELECT * FROM classification_events ce
+      WHERE ce.thread_id = t.thread_id AND ce.accepted
+      ORDER BY ce.revision DESC
+      LIMIT 1
+    ) e ON true;
+  `
+};
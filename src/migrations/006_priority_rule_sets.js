@@ -0,0 +1,64 @@
+/**
+ * Versioned priority rule sets, and the rule-set version behind each classification
+ */
+module.exports = {
+  version: '006',
+  name: 'priority_rule_sets',
+  up: `
+    CREATE TABLE IF NOT EXISTS priority_rule_sets (
+      version text PRIMARY KEY,
+      rules jsonb NOT NULL, -- { P0: {...}, P1: {...}, P2: {...}, P3: {...} }
+      active boolean NOT NULL DEFAULT false,
+      created_at timestamp with time zone DEFAULT now()
+    );
+
+    -- At most one active rule set
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_priority_rule_sets_active ON priority_rule_sets(active) WHERE active;
+
+    ALTER TABLE priority_rule_sets ENABLE ROW LEVEL SECURITY;
+    DROP POLICY IF EXISTS "Service role can do everything" ON priority_rule_sets;
+    CREATE POLICY "Service role can do everything" ON priority_rule_sets
+    FOR ALL USING (true);
+
+    ALTER TABLE classification_events ADD COLUMN IF NOT EXISTS rules_version text;
+
+    CREATE OR REPLACE VIEW tickets AS
+    SELECT
+      t.id,
+      t.thread_id,
+      t.message_id,
+      t.first_message,
+      e.priority_score,
+      e.priority_band,
+      e.reasoning,
+      e.created_at AS processed_at,
+      t.created_at,
+      t.updated_at,
+      t.override_previous_band,
+      t.override_band,
+      t.override_by,
+      t.override_at,
+      e.shadow_mode,
+      e.would_apply_band,
+      e.revision,
+      e.classifier,
+      e.model,
+      e.prompt_version,
+      e.confidence,
+      e.outcome,
+      e.impact_scope,
+      e.product_area,
+      e.sentiment,
+      t.sla_due_at,
+      t.sla_responded_at,
+      t.sla_breached_at,
+      e.rules_version
+    FROM ticket_threads t
+    LEFT JOIN LATERAL (
+      SELECT * FROM classification_events ce
+      WHERE ce.thread_id = t.thread_id AND ce.accepted
+      ORDER BY ce.revision DESC
+      LIMIT 1
+    ) e ON true;
+  `
+};
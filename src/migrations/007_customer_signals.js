@@ -0,0 +1,22 @@
+/**
+ * Customer signals used to boost priority for strategic accounts
+ */
+module.exports = {
+  version: '007',
+  name: 'customer_signals',
+  up: `
+    CREATE TABLE IF NOT EXISTS customer_signals (
+      customer_key text PRIMARY KEY, -- Plain customer ID, external ID, email or email domain (lowercased)
+      vip boolean NOT NULL DEFAULT false,
+      mrr_band text, -- e.g. 'enterprise', 'high', 'medium', 'low'
+      open_incidents integer NOT NULL DEFAULT 0,
+      recent_tickets integer NOT NULL DEFAULT 0, -- tickets in the last 30 days
+      updated_at timestamp with time zone DEFAULT now()
+    );
+
+    ALTER TABLE customer_signals ENABLE ROW LEVEL SECURITY;
+    DROP POLICY IF EXISTS "Service role can do everything" ON customer_signals;
+    CREATE POLICY "Service role can do everything" ON customer_signals
+    FOR ALL USING (true);
+  `
+};
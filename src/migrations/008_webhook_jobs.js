@@ -0,0 +1,44 @@
+/**
+ * Queue of verified webhook events waiting to be processed, and the events that ran out of retries
+ */
+module.exports = {
+  version: '008',
+  name: 'webhook_jobs',
+  up: `
+    CREATE TABLE IF NOT EXISTS webhook_jobs (
+      id bigserial PRIMARY KEY,
+      event_type text NOT NULL,
+      payload jsonb NOT NULL, -- the webhook's payload
+      request_id text,
+      attempts integer NOT NULL DEFAULT 0,
+      last_error text,
+      run_at timestamp with time zone NOT NULL DEFAULT now(), -- not picked up before this (retry backoff)
+      locked_at timestamp with time zone, -- set while a worker is processing the job
+      created_at timestamp with time zone DEFAULT now()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_jobs_run_at ON webhook_jobs(run_at);
+
+    CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+      id bigserial PRIMARY KEY,
+      job_id bigint NOT NULL,
+      event_type text NOT NULL,
+      payload jsonb NOT NULL,
+      request_id text,
+      attempts integer NOT NULL,
+      last_error text,
+      created_at timestamp with time zone, -- when the webhook was received
+      failed_at timestamp with time zone DEFAULT now()
+    );
+
+    ALTER TABLE webhook_jobs ENABLE ROW LEVEL SECURITY;
+    DROP POLICY IF EXISTS "Service role can do everything" ON webhook_jobs;
+    CREATE POLICY "Service role can do everything" ON webhook_jobs
+    FOR ALL USING (true);
+
+    ALTER TABLE webhook_dead_letters ENABLE ROW LEVEL SECURITY;
+    DROP POLICY IF EXISTS "Service role can do everything" ON webhook_dead_letters;
+    CREATE POLICY "Service role can do everything" ON webhook_dead_letters
+    FOR ALL USING (true);
+  `
+};
@@ -0,0 +1,25 @@
+/**
+ * Webhook events received, keyed on Plain's event ID, with the side effects each one has attempted
+ */
+module.exports = {
+  version: '009',
+  name: 'processed_events',
+  up: `
+    CREATE TABLE IF NOT EXISTS processed_events (
+      event_id text PRIMARY KEY, -- the webhook's id, the same on every delivery of an event
+      event_type text NOT NULL,
+      request_id text NOT NULL UNIQUE, -- request that received the event; jobs and steps refer to it
+      status text NOT NULL DEFAULT 'received', -- 'received', 'done' or 'failed'
+      result jsonb, -- what processing returned, sent back to duplicate deliveries
+      steps jsonb NOT NULL DEFAULT '{}', -- step name -> { done, value } (see processedEvents.js)
+      error text,
+      received_at timestamp with time zone DEFAULT now(),
+      completed_at timestamp with time zone
+    );
+
+    ALTER TABLE processed_events ENABLE ROW LEVEL SECURITY;
+    DROP POLICY IF EXISTS "Service role can do everything" ON processed_events;
+    CREATE POLICY "Service role can do everything" ON processed_events
+    FOR ALL USING (true);
+  `
+};
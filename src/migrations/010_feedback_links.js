@@ -0,0 +1,15 @@
+/**
+ * One feedback row per note: clicking a button again, or another button on the same note, updates it
+ */
+module.exports = {
+  version: '010',
+  name: 'feedback_links',
+  up: `
+    ALTER TABLE classification_feedback
+      ADD COLUMN IF NOT EXISTS link_expires_at timestamp with time zone, -- expiry signed into the note's links, identifies the note
+      ADD COLUMN IF NOT EXISTS updated_at timestamp with time zone DEFAULT now();
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_feedback_link
+      ON classification_feedback(thread_id, priority_band, link_expires_at);
+  `
+};
@@ -0,0 +1,18 @@
+/**
+ * Schema migrations, applied in order by the migration runner
+ *
+ * To add a migration, create NNN_description.js exporting { version, name, up }
+ * and append it here. Never edit a migration that has already been applied.
+ */
+module.exports = [
+  require('./001_initial_schema'),
+  require('./002_classification_attributes'),
+  require('./003_classification_feedback'),
+  require('./004_escalations'),
+  require('./005_sla_tracking'),
+  require('./006_priority_rule_sets'),
+  require('./007_customer_signals'),
+  require('./008_webhook_jobs'),
+  require('./009_processed_events'),
+  require('./010_feedback_links')
+];
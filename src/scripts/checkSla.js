@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/**
+ * Run the SLA breach check once (e.g. from cron when not running server.js)
+ *
+ * Usage:
+ *   node src/scripts/checkSla.js
+ */
+require('dotenv').config();
+
+const database = require('../services/database');
+const slaTracker = require('../services/slaTracker');
+
+async function main() {
+  const pool = await database.initialize();
+  if (!pool) {
+    throw new Error('DATABASE_URL is not configured');
+  }
+
+  try {
+    const summary = await slaTracker.checkBreaches();
+    console.log(`Checked ${summary.checked} overdue threads: ${summary.responded} responded, ${summary.breached} breached`);
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`SLA check failed: ${error.message}`);
+  process.exit(1);
+});
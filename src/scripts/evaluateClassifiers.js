@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+/**
+ * Offline evaluation harness
+ *
+ * Replays a labeled dataset through the rules, AI and hybrid classifiers and
+ * reports per-band precision/recall, confusion matrices and band agreement.
+ *
+ * Usage:
+ *   node src/scripts/evaluateClassifiers.js --source db [--limit 500] [--include-unreviewed]
+ *   node src/scripts/evaluateClassifiers.js --file dataset.jsonl [--stub-ai] [--json]
+ *
+ * --stub-ai swaps the AI provider for the deterministic mock provider.
+ *
+ * JSONL records: {"message": "...", "band": "P1", "tier": "pro", "title": "..."}
+ */
+require('dotenv').config();
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const readline = require('readline');
+const database = require('../services/database');
+const rulesClassifier = require('../services/priorityClassifier');
+const aiClassifier = require('../services/aiPriorityClassifier');
+const hybridClassifier = require('../services/hybridPriorityClassifier');
+const { MockProvider } = require('../services/llmProviders');
+const { PRIORITY_BANDS, computeMetrics, pairwiseAgreement } = require('../utils/classificationMetrics');
+
+const CLASSIFIERS = {
+  rules: rulesClassifier,
+  ai: aiClassifier,
+  hybrid: hybridClassifier
+};
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+  const options = {
+    source: null,
+    file: null,
+    limit: 1000,
+    includeUnreviewed: false,
+    stubAi: false,
+    json: false,
+    classifiers: Object.keys(CLASSIFIERS)
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--source':
+        options.source = argv[++i];
+        break;
+      case '--file':
+        options.file = argv[++i];
+        options.source = options.source || 'file';
+        break;
+      case '--limit':
+        options.limit = parseInt(argv[++i]) || options.limit;
+        break;
+      case '--include-unreviewed':
+        options.includeUnreviewed = true;
+        break;
+      case '--stub-ai':
+        options.stubAi = true;
+        break;
+      case '--classifiers':
+        options.classifiers = argv[++i].split(',').map(name => name.trim());
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!['db', 'file'].includes(options.source)) {
+    throw new Error('Specify a dataset with --source db or --file <path.jsonl>');
+  }
+
+  for (const name of options.classifiers) {
+    if (!CLASSIFIERS[name]) {
+      throw new Error(`Unknown classifier: ${name}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Load labeled records from a JSONL file
+ * @param {string} filePath - Path to the dataset
+ * @returns {Promise<Array<Object>>} Records with message and expected band
+ */
+async function loadJsonlDataset(filePath) {
+  const records = [];
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity
+  });
+
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    const record = JSON.parse(line);
+    const expectedBand = record.band || record.priority_band || record.expected_band;
+    if (!record.message || !PRIORITY_BANDS.includes(expectedBand)) {
+      throw new Error(`Invalid record on line ${lineNumber}: needs "message" and a P0-P3 "band"`);
+    }
+
+    records.push({
+      id: record.id || `line_${lineNumber}`,
+      message: record.message,
+      title: record.title,
+      tier: record.tier,
+      expectedBand
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Load labeled records from the tickets table
+ * @param {Object} options - Harness options
+ * @returns {Promise<Array<Object>>} Records with message and expected band
+ */
+async function loadDatabaseDataset(options) {
+  await database.initialize();
+  const rows = await database.getEvaluationDataset({
+    limit: options.limit,
+    includeUnreviewed: options.includeUnreviewed
+  });
+
+  if (!rows) {
+    throw new Error('Could not load evaluation dataset from database (is DATABASE_URL set?)');
+  }
+
+  return rows.map(row => ({
+    id: row.thread_id,
+    message: row.first_message,
+    expectedBand: row.expected_band
+  }));
+}
+
+/**
+ * Build a Plain-like thread object for a dataset record
+ * @param {Object} record - Dataset record
+ * @returns {Object} Thread object accepted by every classifier
+ */
+function buildThread(record) {
+  return {
+    id: `eval_${record.id}`,
+    title: record.title || '',
+    allMessageContent: record.message,
+    firstMessage: {
+      textContent: record.message
+    },
+    tier: record.tier ? { name: record.tier } : undefined
+  };
+}
+
+/**
+ * Replay the dataset through one classifier
+ * @param {string} name - Classifier name
+ * @param {Array<Object>} records - Dataset records
+ * @returns {Promise<Object>} Predictions and metrics
+ */
+async function evaluateClassifier(name, records) {
+  const classifier = CLASSIFIERS[name];
+  const predictions = [];
+  const startTime = Date.now();
+
+  for (const record of records) {
+    const result = await classifier.classifyThread(buildThread(record));
+    predictions.push(result.priorityBand);
+  }
+
+  const pairs = records.map((record, i) => ({
+    expected: record.expectedBand,
+    predicted: predictions[i]
+  }));
+
+  return {
+    predictions,
+    durationMs: Date.now() - startTime,
+    metrics: computeMetrics(pairs)
+  };
+}
+
+/**
+ * Format a ratio as a percentage
+ * @param {number|null} value - Ratio between 0 and 1
+ * @returns {string} Percentage or n/a
+ */
+function formatPercent(value) {
+  return value === null ? '  n/a' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+/**
+ * Print a human readable report
+ * @param {Object} report - Evaluation report
+ */
+function printReport(report) {
+  console.log(`\nEvaluated ${report.datasetSize} labeled tickets${report.stubAi ? ' (AI stubbed)' : ''}\n`);
+
+  for (const [name, result] of Object.entries(report.classifiers)) {
+    const { metrics } = result;
+    console.log(`=== ${name} (${result.durationMs}ms) ===`);
+    console.log(`Band agreement: ${formatPercent(metrics.bandAgreement)}   Within one band: ${formatPercent(metrics.withinOneBandAgreement)}`);
+    console.log('Band   Precision  Recall  Support');
+    for (const band of PRIORITY_BANDS) {
+      const stats = metrics.perBand[band];
+      console.log(`${band}     ${formatPercent(stats.precision)}    ${formatPercent(stats.recall)}  ${String(stats.support).padStart(7)}`);
+    }
+    console.log('\nConfusion matrix (rows = labeled, columns = predicted)');
+    console.log(`       ${PRIORITY_BANDS.map(band => band.padStart(5)).join('')}`);
+    for (const expected of PRIORITY_BANDS) {
+      const row = PRIORITY_BANDS.map(predicted => String(metrics.confusionMatrix[expected][predicted]).padStart(5));
+      console.log(`${expected}     ${row.join('')}`);
+    }
+    console.log('');
+  }
+
+  if (Object.keys(report.classifierAgreement).length > 0) {
+    console.log('=== Classifier agreement ===');
+    for (const [pair, agreement] of Object.entries(report.classifierAgreement)) {
+      console.log(`${pair}: ${formatPercent(agreement)}`);
+    }
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.stubAi) {
+    aiClassifier.provider = new MockProvider();
+    aiClassifier.model = aiClassifier.provider.defaultModel;
+  }
+
+  const records = options.source === 'file'
+    ? await loadJsonlDataset(options.file)
+    : await loadDatabaseDataset(options);
+
+  if (records.length === 0) {
+    throw new Error('Dataset is empty');
+  }
+
+  // A ticket under test must not be its own few-shot example (its label would leak into the prompt)
+  if (options.source === 'db') {
+    aiClassifier.excludedThreadIds = records.map(record => record.id);
+  }
+
+  const report = {
+    datasetSize: records.length,
+    stubAi: options.stubAi,
+    classifiers: {},
+    classifierAgreement: {}
+  };
+
+  for (const name of options.classifiers) {
+    report.classifiers[name] = await evaluateClassifier(name, records);
+  }
+
+  const names = Object.keys(report.classifiers);
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      report.classifierAgreement[`${names[i]} vs ${names[j]}`] = pairwiseAgreement(
+        report.classifiers[names[i]].predictions,
+        report.classifiers[names[j]].predictions
+      );
+    }
+  }
+
+  if (options.json) {
+    for (const result of Object.values(report.classifiers)) {
+      delete result.predictions;
+    }
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  await database.close();
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`Evaluation failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseArgs,
+  loadJsonlDataset,
+  buildThread,
+  evaluateClassifier
+};
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Apply pending database migrations, or show their status
+ *
+ * Usage:
+ *   node src/scripts/migrate.js          # apply pending migrations
+ *   node src/scripts/migrate.js status   # list migrations and whether they are applied
+ */
+require('dotenv').config();
+
+const database = require('../services/database');
+const migrationRunner = require('../services/migrationRunner');
+
+async function main() {
+  const command = process.argv[2] || 'up';
+
+  const pool = await database.initialize({ migrate: false });
+  if (!pool) {
+    throw new Error('DATABASE_URL is not configured');
+  }
+
+  try {
+    if (command === 'status') {
+      const migrations = await migrationRunner.status(pool);
+      for (const migration of migrations) {
+        console.log(`${migration.applied ? '[x]' : '[ ]'} ${migration.version}_${migration.name}`);
+      }
+    } else if (command === 'up') {
+      const applied = await database.runMigrations();
+      console.log(applied.length > 0
+        ? `Applied migrations: ${applied.join(', ')}`
+        : 'No pending migrations');
+    } else {
+      throw new Error(`Unknown command: ${command} (expected "up" or "status")`);
+    }
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`Migration failed: ${error.message}`);
+  process.exit(1);
+});
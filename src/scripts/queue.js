@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Inspect the webhook queue and replay dead-lettered events
+ *
+ * Usage:
+ *   node src/scripts/queue.js status          # queued, retrying and processing jobs, dead-letter count
+ *   node src/scripts/queue.js dead-letters    # list dead-lettered events with their last error
+ *   node src/scripts/queue.js requeue <id>    # put a dead-lettered event back on the queue
+ */
+require('dotenv').config();
+
+const database = require('../services/database');
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+
+  const pool = await database.initialize();
+  if (!pool) {
+    throw new Error('DATABASE_URL is not configured');
+  }
+
+  try {
+    if (command === 'status') {
+      const stats = await database.getQueueStats();
+      const oldest = stats.oldest_created_at ? new Date(stats.oldest_created_at).toISOString() : 'none';
+      console.log(`Due: ${stats.due}  Retrying: ${stats.retrying}  Processing: ${stats.processing}  Dead letters: ${stats.dead_letters}`);
+      console.log(`Oldest queued event: ${oldest}`);
+    } else if (command === 'dead-letters') {
+      for (const letter of await database.getDeadLetters()) {
+        console.log(`${letter.id}  ${letter.event_type}  ${letter.attempts} attempts  ${new Date(letter.failed_at).toISOString()}  ${letter.last_error}`);
+      }
+    } else if (command === 'requeue') {
+      const jobId = await database.requeueDeadLetter(arg);
+      if (!jobId) {
+        throw new Error(`Unknown dead letter: ${arg}`);
+      }
+      console.log(`Requeued dead letter ${arg} as job ${jobId}`);
+    } else {
+      throw new Error(`Unknown command: ${command} (expected status, dead-letters or requeue)`);
+    }
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`Queue command failed: ${error.message}`);
+  process.exit(1);
+});
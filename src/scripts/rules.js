@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Manage versioned priority rule sets
+ *
+ * Usage:
+ *   node src/scripts/rules.js export [--yaml]      # print the built-in rules as a rule set file
+ *   node src/scripts/rules.js validate <file>      # check a JSON/YAML rule set file
+ *   node src/scripts/rules.js publish <file>       # store a rule set in the database and make it active
+ *   node src/scripts/rules.js activate <version>   # switch the database back to a stored version
+ *   node src/scripts/rules.js status               # list stored versions
+ */
+require('dotenv').config();
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const config = require('../config/config');
+const database = require('../services/database');
+const { validateRuleSet, parseRuleSet } = require('../utils/ruleSetSchema');
+
+/**
+ * Read and validate a rule set file
+ * @param {string} file - Path to a .json, .yaml or .yml file
+ * @returns {Object} Validated rule set
+ */
+function readRuleSet(file) {
+  if (!file) {
+    throw new Error('Missing rule set file');
+  }
+
+  const { value, error } = validateRuleSet(parseRuleSet(fs.readFileSync(file, 'utf8'), file));
+  if (error) {
+    throw new Error(`${file} is invalid: ${error}`);
+  }
+  return value;
+}
+
+/**
+ * Run a command against the database
+ * @param {Function} fn - Called once the database is connected
+ */
+async function withDatabase(fn) {
+  const pool = await database.initialize();
+  if (!pool) {
+    throw new Error('DATABASE_URL is not configured');
+  }
+
+  try {
+    await fn();
+  } finally {
+    await database.close();
+  }
+}
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+
+  if (command === 'export') {
+    const ruleSet = { version: '1', rules: config.priorityRules };
+    console.log(arg === '--yaml' ? yaml.dump(ruleSet) : JSON.stringify(ruleSet, null, 2));
+  } else if (command === 'validate') {
+    const ruleSet = readRuleSet(arg);
+    console.log(`${arg} is valid (version ${ruleSet.version})`);
+  } else if (command === 'publish') {
+    const ruleSet = readRuleSet(arg);
+    await withDatabase(async () => {
+      await database.saveRuleSet(ruleSet);
+      console.log(`Published and activated rule set version ${ruleSet.version}`);
+    });
+  } else if (command === 'activate') {
+    await withDatabase(async () => {
+      if (!await database.activateRuleSet(arg)) {
+        throw new Error(`Unknown rule set version: ${arg}`);
+      }
+      console.log(`Activated rule set version ${arg}`);
+    });
+  } else if (command === 'status') {
+    await withDatabase(async () => {
+      for (const ruleSet of await database.getRuleSets()) {
+        console.log(`${ruleSet.active ? '[active]' : '        '} ${ruleSet.version}  ${new Date(ruleSet.created_at).toISOString()}`);
+      }
+    });
+  } else {
+    throw new Error(`Unknown command: ${command} (expected export, validate, publish, activate or status)`);
+  }
+}
+
+main().catch(error => {
+  console.error(`Rules command failed: ${error.message}`);
+  process.exit(1);
+});
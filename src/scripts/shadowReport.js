@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Compare the bands shadow mode would have applied with the labels agents chose
+ *
+ * Usage:
+ *   node src/scripts/shadowReport.js          # last 30 days
+ *   node src/scripts/shadowReport.js 7        # last 7 days
+ */
+require('dotenv').config();
+
+const database = require('../services/database');
+const { PRIORITY_BANDS, computeMetrics } = require('../utils/classificationMetrics');
+
+/**
+ * Format a rate as a percentage
+ * @param {number|null} value - Rate between 0 and 1
+ * @returns {string} Percentage or n/a
+ */
+function formatPercent(value) {
+  return value === null ? '  n/a' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+async function main() {
+  const days = parseInt(process.argv[2] || '30', 10);
+  if (!Number.isInteger(days) || days <= 0) {
+    throw new Error(`Invalid number of days: ${process.argv[2]}`);
+  }
+
+  const pool = await database.initialize();
+  if (!pool) {
+    throw new Error('DATABASE_URL is not configured');
+  }
+
+  try {
+    const rows = await database.getShadowComparison(days);
+    if (!rows) {
+      throw new Error('Could not load shadow-mode classifications');
+    }
+
+    // Tickets an agent never labeled have nothing to compare against
+    const pairs = rows
+      .filter(row => row.would_apply_band && row.override_band)
+      .flatMap(row => Array(parseInt(row.count, 10)).fill({ expected: row.override_band, predicted: row.would_apply_band }));
+    const total = rows.reduce((sum, row) => sum + parseInt(row.count, 10), 0);
+    const metrics = computeMetrics(pairs);
+
+    console.log(`\nShadow mode, last ${days} days: ${total} tickets, ${pairs.length} labeled by an agent\n`);
+    console.log(`Band agreement: ${formatPercent(metrics.bandAgreement)}   Within one band: ${formatPercent(metrics.withinOneBandAgreement)}`);
+    console.log('\nConfusion matrix (rows = agent label, columns = shadow band)');
+    console.log(`       ${PRIORITY_BANDS.map(band => band.padStart(5)).join('')}`);
+    for (const expected of PRIORITY_BANDS) {
+      const row = PRIORITY_BANDS.map(predicted => String(metrics.confusionMatrix[expected][predicted]).padStart(5));
+      console.log(`${expected}     ${row.join('')}`);
+    }
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`Shadow report failed: ${error.message}`);
+  process.exit(1);
+});
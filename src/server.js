@@ -6,6 +6,11 @@ const { RateLimiterMemory } = require('rate-limiter-flexible');
 require('dotenv').config();
 
 const webhookHandler = require('./handlers/webhookHandler');
+const feedbackHandler = require('./handlers/feedbackHandler');
+const database = require('./services/database');
+const slaTracker = require('./services/slaTracker');
+const priorityRuleSet = require('./services/priorityRuleSet');
+const webhookQueue = require('./services/webhookQueue');
 const logger = require('./utils/logger');
 const config = require('./config/config');
 
@@ -62,6 +67,9 @@ app.get('/health', (req, res) => {
 // Webhook endpoints
 app.post(config.webhookEndpointPath, webhookHandler.handlePlainWebhook);
 
+// Feedback buttons on classification notes
+app.get('/feedback', feedbackHandler.handleFeedback);
+
 // Metrics endpoint (for monitoring)
 app.get('/metrics', (req, res) => {
   // TODO: Implement metrics collection
@@ -105,6 +113,13 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
+// Reload priority rules right away (otherwise they are re-checked before classifying,
+// at most every RULES_RELOAD_INTERVAL_SECONDS)
+process.on('SIGHUP', () => {
+  logger.info('SIGHUP received, reloading priority rules');
+  priorityRuleSet.refresh({ force: true });
+});
+
 // Start server
 const PORT = config.port;
 const HOST = config.host;
@@ -114,8 +129,36 @@ app.listen(PORT, HOST, () => {
     port: PORT,
     host: HOST,
     environment: process.env.NODE_ENV || 'development',
-    webhookPath: config.webhookEndpointPath
+    webhookPath: config.webhookEndpointPath,
+    shadowMode: config.shadowMode
   });
+
+  database.initialize()
+    // A database rule set can only load once the connection is up
+    .then(() => priorityRuleSet.refresh({ force: true }))
+    .catch((error) => {
+      logger.warn('Database initialization failed, continuing without database', {
+        error: error.message
+      });
+    });
+
+  // Periodic SLA breach check
+  if (config.sla.checkIntervalMinutes > 0) {
+    setInterval(() => {
+      slaTracker.checkBreaches().catch((error) => {
+        logger.error('SLA check failed', { error: error.message });
+      });
+    }, config.sla.checkIntervalMinutes * 60 * 1000);
+  }
+
+  // Webhook queue worker
+  if (config.queue.enabled && config.queue.pollIntervalSeconds > 0) {
+    setInterval(() => {
+      webhookQueue.work(webhookHandler.processEvent).catch((error) => {
+        logger.error('Webhook queue run failed', { error: error.message });
+      });
+    }, config.queue.pollIntervalSeconds * 1000);
+  }
 });
 
 module.exports = app;
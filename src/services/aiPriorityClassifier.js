@@ -1,75 +1,105 @@
-const axios = require('axios');
+const crypto = require('crypto');
 const logger = require('../utils/logger');
 const config = require('../config/config');
 const database = require('./database');
+const similarityRetriever = require('./similarityRetriever');
+const customerSignals = require('./customerSignals');
+const { createProvider } = require('./llmProviders');
+const { CLASSIFICATION_OUTPUT, validateClassificationOutput } = require('../utils/classificationSchema');
+const { BAND_RANGES, createClassificationResult } = require('../utils/classificationResult');
+
+// Band rules and output fields at the top of every classification prompt
+const DEFAULT_INSTRUCTIONS = `You are an expert customer support triage analyst. When given the first message of a support ticket, assign an integer priority_score from 0 to 1000, a priority_band (P0, P1, P2, P3) based on these rules:
+
+- P0: Critical outage, company-wide or many users blocked (score: 0–150)
+- P1: Major issue, multiple users impacted but workaround may exist (151–400)
+- P2: Moderate, minor feature broken or single user (401–700)
+- P3: Low, no operational impact, general question, or feature request (701–1000)
+
+For each ticket, output:
+- priority_score: number
+- priority_band: string (P0–P3)
+- reasoning: short explanation for your decision
+- confidence: your probability (0 to 1) that priority_band is correct
+- impact_scope: who is affected (single_user, multiple_users, organization, all_customers, unknown)
+- product_area: the product area the ticket is about (e.g. billing, api, dashboard, or general)
+- sentiment: the customer's sentiment (positive, neutral, frustrated, angry)`;
 
 /**
- * AI-Powered Priority Classifier using Claude with Historical Context
+ * AI-Powered Priority Classifier using an LLM with Historical Context
  * 
- * This classifier uses a sliding window approach to provide Claude with
+ * This classifier uses a sliding window approach to provide the model with
  * recent ticket classifications for better context-aware prioritization.
+ * The model is reached through a pluggable provider (Anthropic, OpenAI or mock).
  */
 class AIPriorityClassifier {
-  constructor() {
-    this.apiKey = config.claudeApiKey || config.openaiApiKey; // Use Claude API key, fallback to OpenAI
-    this.model = config.aiModel || 'claude-3-5-sonnet-20241022'; // Latest Claude model
-    this.apiUrl = 'https://api.anthropic.com/v1/messages';
+  /**
+   * @param {Object} options - Overrides for a non-default instance (e.g. a challenger)
+   * @param {Object} options.provider - Provider instance to use instead of creating one
+   * @param {string} options.providerName - Provider to create instead of config.aiProvider
+   * @param {string} options.model - Model to use instead of config.aiModel (or the provider's default)
+   * @param {string} options.exampleSelection - Example selection instead of config.aiExampleSelection
+   * @param {string} options.instructions - Instructions (band rules and output fields) to use instead of the built-in ones
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || this.createProvider(options.providerName || config.aiProvider);
+    // AI_MODEL names a model of AI_PROVIDER; any other provider uses its own default
+    const configuredModel = this.provider?.name === config.aiProvider ? config.aiModel : null;
+    this.model = options.model || configuredModel || this.provider?.defaultModel || null;
+    this.temperature = config.aiTemperature; // Low temperature for consistent classification
+    this.instructions = options.instructions || DEFAULT_INSTRUCTIONS;
+    // Bump when the classification prompt changes, stored with every run; custom instructions are told apart by their hash
+    this.promptVersion = options.instructions
+      ? `v3-custom-${crypto.createHash('sha256').update(options.instructions).digest('hex').slice(0, 8)}`
+      : 'v3';
     this.slidingWindowSize = 12; // Number of recent tickets for context
-    
-    // Create axios instance for Claude API
-    this.client = axios.create({
-      baseURL: 'https://api.anthropic.com/v1',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': this.apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      timeout: 30000 // 30 second timeout for AI calls
-    });
-
-    // Add request/response interceptors for logging
-    this.client.interceptors.request.use(
-      (config) => {
-        logger.debug('Claude API request', {
-          method: config.method,
-          url: config.url,
-          hasKey: !!config.headers['x-api-key']
-        });
-        return config;
-      },
-      (error) => {
-        logger.error('Claude API request error', { error: error.message });
-        return Promise.reject(error);
-      }
-    );
+    this.exampleSelection = options.exampleSelection || config.aiExampleSelection || 'recent'; // 'recent', 'labeled' or 'similar'
+    this.similarityPoolSize = config.aiSimilarityPoolSize || 500; // Candidates searched in 'similar' mode
+    this.excludedThreadIds = []; // Never used as examples, e.g. the tickets an evaluation is scoring
+    this.confidenceSamples = Math.max(1, config.aiConfidenceSamples || 1); // Total model calls per ticket
+    this.sampleTemperature = config.aiSampleTemperature;
+    // How much each signal counts towards the final confidence
+    this.confidenceWeights = {
+      model: 0.5,
+      agreement: 0.3,
+      boundary: 0.2
+    };
+    this.bandRanges = BAND_RANGES;
+  }
 
-    this.client.interceptors.response.use(
-      (response) => {
-        logger.debug('Claude API response', {
-          status: response.status,
-          usage: response.data.usage
-        });
-        return response;
-      },
-      (error) => {
-        logger.error('Claude API response error', {
-          status: error.response?.status,
-          message: error.message,
-          data: error.response?.data
-        });
-        return Promise.reject(error);
-      }
-    );
+  /**
+   * Create the LLM provider from configuration
+   * @param {string} name - Provider name
+   * @returns {Object|null} Provider or null if the name is unknown
+   */
+  createProvider(name) {
+    try {
+      return createProvider(name);
+    } catch (error) {
+      logger.error('Unknown AI provider configured, AI classification disabled', {
+        provider: name
+      });
+      return null;
+    }
   }
 
   /**
-   * Get recent tickets for historical context
-   * @param {number} limit - Number of recent tickets to fetch
-   * @returns {Promise<Array>} Array of recent ticket classifications
+   * Get example tickets for historical context
+   * @param {string} message - The ticket message being classified
+   * @param {number} limit - Number of example tickets to fetch
+   * @returns {Promise<Array>} Array of example ticket classifications
    */
-  async getHistoricalContext(limit = this.slidingWindowSize) {
+  async getHistoricalContext(message = '', limit = this.slidingWindowSize) {
+    if (this.exampleSelection === 'labeled') {
+      return this.getLabeledContext(limit);
+    }
+
+    if (this.exampleSelection === 'similar') {
+      return this.getSimilarContext(message, limit);
+    }
+
     try {
-      const recentTickets = await database.getRecentTickets(limit);
+      const recentTickets = await database.getRecentTickets(limit, this.excludedThreadIds);
       
       if (!recentTickets || recentTickets.length === 0) {
         logger.debug('No historical tickets found for context');
@@ -106,6 +136,125 @@ class AIPriorityClassifier {
     }
   }
 
+  /**
+   * Get agent-confirmed or corrected tickets for context, balanced across bands
+   * Falls back to the classifier's own outputs for bands without enough labels
+   * @param {number} limit - Total number of example tickets to fetch
+   * @returns {Promise<Array>} Array of example ticket classifications
+   */
+  async getLabeledContext(limit = this.slidingWindowSize) {
+    try {
+      const bands = Object.keys(this.bandRanges);
+      const perBand = Math.max(1, Math.ceil(limit / bands.length));
+      const labeledTickets = await database.getLabeledTickets(perBand, this.excludedThreadIds);
+
+      if (!labeledTickets || labeledTickets.length === 0) {
+        logger.debug('No labeled tickets found for context');
+        return [];
+      }
+
+      // Interleave bands so no single band dominates the start of the prompt
+      const byBand = bands.map(band => labeledTickets.filter(ticket => ticket.effective_band === band));
+      const interleaved = [];
+      for (let i = 0; i < perBand; i++) {
+        for (const tickets of byBand) {
+          if (tickets[i]) interleaved.push(tickets[i]);
+        }
+      }
+
+      const formattedTickets = interleaved.slice(0, limit)
+        .map((ticket, index) => this.formatReviewedExample(ticket, index));
+
+      logger.debug('Retrieved labeled context', {
+        ticketCount: formattedTickets.length,
+        humanLabeled: interleaved.filter(ticket => ticket.override_band).length,
+        bandCounts: byBand.map((tickets, i) => `${bands[i]}:${tickets.length}`)
+      });
+
+      return formattedTickets;
+    } catch (error) {
+      logger.error('Failed to get labeled context', {
+        error: error.message,
+        limit
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Get the past tickets most similar to the one being classified
+   * Agent corrections take precedence over the stored classification
+   * @param {string} message - The ticket message being classified
+   * @param {number} limit - Number of example tickets to return
+   * @returns {Promise<Array>} Array of example ticket classifications
+   */
+  async getSimilarContext(message, limit = this.slidingWindowSize) {
+    try {
+      const candidates = await database.getRecentTickets(this.similarityPoolSize, this.excludedThreadIds);
+
+      if (!candidates || candidates.length === 0) {
+        logger.debug('No historical tickets found for similarity search');
+        return [];
+      }
+
+      const similarTickets = await similarityRetriever.findMostSimilar(message, candidates, limit);
+
+      const formattedTickets = similarTickets
+        .map((ticket, index) => this.formatReviewedExample(ticket, index));
+
+      logger.debug('Retrieved similar context', {
+        candidateCount: candidates.length,
+        ticketCount: formattedTickets.length,
+        topSimilarity: similarTickets[0]?.similarity
+      });
+
+      return formattedTickets;
+    } catch (error) {
+      logger.error('Failed to get similar context', {
+        error: error.message,
+        limit
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Format a stored ticket as a prompt example, preferring the agent's band
+   * @param {Object} ticket - Ticket row
+   * @param {number} index - Position in the example list
+   * @returns {Object} Formatted example
+   */
+  formatReviewedExample(ticket, index) {
+    const band = ticket.override_band || ticket.priority_band;
+    const corrected = ticket.override_band && ticket.override_band !== ticket.priority_band;
+
+    return {
+      example_number: index + 1,
+      first_message: this.truncateMessage(ticket.first_message || ''),
+      // The agent only chose a band, so the classifier's score no longer applies
+      priority_score: corrected ? null : this.clampScoreToBand(ticket.priority_score, band),
+      priority_band: band,
+      reasoning: corrected
+        ? `Agent corrected priority to ${band} (classifier suggested ${ticket.priority_band})`
+        : ticket.reasoning || 'No reasoning provided',
+      processed_at: ticket.processed_at
+    };
+  }
+
+  /**
+   * Clamp a priority score into the range of its band
+   * @param {number} score - Priority score
+   * @param {string} band - Priority band (P0, P1, P2, P3)
+   * @returns {number} Score within the band's range
+   */
+  clampScoreToBand(score, band) {
+    const [min, max] = this.bandRanges[band];
+    if (typeof score !== 'number' || isNaN(score)) {
+      return Math.round((min + max) / 2);
+    }
+    return Math.max(min, Math.min(max, score));
+  }
+
   /**
    * Truncate message to prevent prompt bloat
    * @param {string} message - Original message
@@ -123,36 +272,30 @@ class AIPriorityClassifier {
    * Build enhanced prompt with historical context
    * @param {string} firstMessage - The ticket message to classify
    * @param {Array} historicalContext - Recent ticket examples
-   * @returns {string} Complete prompt for Claude
+   * @returns {string} Complete prompt for the model
    */
   buildPromptWithContext(firstMessage, historicalContext) {
-    const basePrompt = `You are an expert customer support triage analyst. When given the first message of a support ticket, assign an integer priority_score from 0 to 1000, a priority_band (P0, P1, P2, P3) based on these rules:
-
-- P0: Critical outage, company-wide or many users blocked (score: 0–150)
-- P1: Major issue, multiple users impacted but workaround may exist (151–400)
-- P2: Moderate, minor feature broken or single user (401–700)
-- P3: Low, no operational impact, general question, or feature request (701–1000)
-
-For each ticket, output:
-- priority_score: number
-- priority_band: string (P0–P3)
-- reasoning: short explanation for your decision`;
-
     let contextSection = '';
     if (historicalContext && historicalContext.length > 0) {
-      contextSection = `\n\nHere are recent ticket classifications from this system for context and consistency:\n\n`;
+      const contextDescriptions = {
+        labeled: 'ticket classifications reviewed by support agents, covering each priority band',
+        similar: 'past ticket classifications most similar to this ticket'
+      };
+      const contextDescription = contextDescriptions[this.exampleSelection] ||
+        'recent ticket classifications from this system';
+      contextSection = `\n\nHere are ${contextDescription} for context and consistency:\n\n`;
       
       historicalContext.forEach((ticket) => {
+        const scoreLine = ticket.priority_score === null ? '' : `priority_score: ${ticket.priority_score}\n`;
         contextSection += `Example ${ticket.example_number}:
 Ticket: "${ticket.first_message}"
-priority_score: ${ticket.priority_score}
-priority_band: ${ticket.priority_band}
+${scoreLine}priority_band: ${ticket.priority_band}
 reasoning: ${ticket.reasoning}
 
 `;
       });
 
-      contextSection += `Please maintain consistency with these recent classifications while applying the priority rules.\n`;
+      contextSection += `Please maintain consistency with these classifications while applying the priority rules.\n`;
     }
 
     const staticExamples = `\nHere are some reference examples:
@@ -171,44 +314,43 @@ reasoning: Intermittent minor failure, affected one user, now resolved.`;
 Now evaluate this ticket:
 Ticket: "${firstMessage}"
 
-Please provide your response in this exact format:
-priority_score: [number]
-priority_band: [P0/P1/P2/P3]
-reasoning: [short explanation]`;
+Record your classification as a single JSON object with the fields priority_score,
+priority_band, reasoning, confidence, impact_scope, product_area and sentiment.`;
 
-    return basePrompt + contextSection + staticExamples + evaluationSection;
+    return this.instructions + contextSection + staticExamples + evaluationSection;
   }
 
   /**
-   * Call Claude API to classify ticket priority
+   * Call the configured LLM provider for a schema-constrained classification
    * @param {string} prompt - Complete prompt with context
-   * @returns {Promise<Object>} Claude's response
+   * @param {number} temperature - Sampling temperature
+   * @returns {Promise<{data: Object|null, text: string}>} Structured output and raw response text
    */
-  async callClaudeAPI(prompt) {
-    const requestBody = {
-      model: this.model,
-      max_tokens: 300,
-      temperature: 0.1, // Low temperature for consistent classification
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ]
-    };
+  async callModel(prompt, temperature = this.temperature) {
+    if (!this.provider) {
+      throw new Error('No AI provider available');
+    }
 
     try {
-      const response = await this.client.post('/messages', requestBody);
+      const response = await this.provider.completeStructured({
+        prompt,
+        model: this.model,
+        maxTokens: 500,
+        temperature,
+        schema: CLASSIFICATION_OUTPUT
+      });
       
-      logger.debug('Claude classification completed', {
+      logger.debug('LLM classification completed', {
+        provider: this.provider.name,
         model: this.model,
-        usage: response.data.usage,
+        usage: response.usage,
         promptLength: prompt.length
       });
 
-      return response.data.content[0].text;
+      return response;
     } catch (error) {
-      logger.error('Claude API call failed', {
+      logger.error('LLM API call failed', {
+        provider: this.provider.name,
         error: error.message,
         status: error.response?.status,
         data: error.response?.data
@@ -218,70 +360,187 @@ reasoning: [short explanation]`;
   }
 
   /**
-   * Parse Claude's response to extract classification data
-   * @param {string} claudeResponse - Raw response from Claude
+   * Validate the model's structured output against the declared schema
+   * @param {Object} modelResponse - Response from callModel
    * @returns {Object} Parsed classification
    */
-  parseClaudeResponse(claudeResponse) {
-    try {
-      const lines = claudeResponse.split('\n').filter(line => line.trim());
-      const result = {};
-
-      for (const line of lines) {
-        if (line.includes('priority_score:')) {
-          const score = parseInt(line.split(':')[1].trim());
-          if (!isNaN(score) && score >= 0 && score <= 1000) {
-            result.priorityScore = score;
-          }
-        } else if (line.includes('priority_band:')) {
-          const band = line.split(':')[1].trim();
-          if (['P0', 'P1', 'P2', 'P3'].includes(band)) {
-            result.priorityBand = band;
-          }
-        } else if (line.includes('reasoning:')) {
-          result.reasoning = line.split(':').slice(1).join(':').trim();
-        }
+  parseModelResponse(modelResponse) {
+    let data = modelResponse.data;
+
+    // Some providers only return text; accept a bare or fenced JSON object
+    if (!data && modelResponse.text) {
+      const json = modelResponse.text.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '');
+      try {
+        data = JSON.parse(json);
+      } catch (error) {
+        throw new Error(`Response is not valid JSON: ${error.message}`);
       }
+    }
 
-      // Validate required fields
-      if (!result.priorityScore || !result.priorityBand) {
-        throw new Error('Missing required fields in Claude response');
-      }
+    if (!data || typeof data !== 'object') {
+      throw new Error('Response did not contain a JSON object');
+    }
 
-      // Validate score matches band
-      const expectedBands = {
-        P0: [0, 150],
-        P1: [151, 400],
-        P2: [401, 700],
-        P3: [701, 1000]
-      };
+    const { value, error } = validateClassificationOutput(data);
+    if (error) {
+      throw new Error(`Response does not match schema: ${error}`);
+    }
 
-      const [min, max] = expectedBands[result.priorityBand];
-      if (result.priorityScore < min || result.priorityScore > max) {
-        logger.warn('Priority score does not match band, adjusting', {
-          originalScore: result.priorityScore,
-          band: result.priorityBand,
-          expectedRange: [min, max]
-        });
-        
-        // Adjust score to match band
-        result.priorityScore = Math.max(min, Math.min(max, result.priorityScore));
-      }
+    const result = {
+      priorityScore: value.priority_score,
+      priorityBand: value.priority_band,
+      reasoning: value.reasoning,
+      modelConfidence: value.confidence,
+      impactScope: value.impact_scope,
+      productArea: value.product_area,
+      sentiment: value.sentiment
+    };
 
-      return result;
+    // Validate score matches band
+    const [min, max] = this.bandRanges[result.priorityBand];
+    if (result.priorityScore < min || result.priorityScore > max) {
+      logger.warn('Priority score does not match band, adjusting', {
+        originalScore: result.priorityScore,
+        band: result.priorityBand,
+        expectedRange: [min, max]
+      });
+      
+      // Adjust score to match band
+      result.priorityScore = this.clampScoreToBand(result.priorityScore, result.priorityBand);
+    }
+
+    return result;
+  }
+
+  /**
+   * Build a follow-up prompt asking the model to fix an invalid response
+   * @param {string} prompt - Original classification prompt
+   * @param {Object} modelResponse - The invalid response
+   * @param {Error} error - Why the response was rejected
+   * @returns {string} Repair prompt
+   */
+  buildRepairPrompt(prompt, modelResponse, error) {
+    return `${prompt}
+
+---
+Your previous response could not be used: ${error.message}
+Previous response: ${this.truncateMessage(modelResponse.text || '', 1000)}
+
+Respond again with only a corrected JSON object containing priority_score (integer 0-1000),
+priority_band (P0/P1/P2/P3), reasoning, confidence (0-1), impact_scope, product_area and sentiment.`;
+  }
+
+  /**
+   * Get a valid classification from the model, retrying once with a repair prompt
+   * @param {string} prompt - Complete prompt with context
+   * @param {string} threadId - Thread ID for logging
+   * @returns {Promise<Object>} Parsed classification with a repaired flag
+   */
+  async getStructuredClassification(prompt, threadId) {
+    const modelResponse = await this.callModel(prompt);
+
+    try {
+      return { ...this.parseModelResponse(modelResponse), repaired: false };
     } catch (error) {
-      logger.error('Failed to parse Claude response', {
+      logger.warn('Invalid model response, retrying with repair prompt', {
+        threadId,
         error: error.message,
-        response: claudeResponse
+        response: modelResponse.text
       });
-      throw new Error(`Unable to parse Claude response: ${error.message}`);
+
+      const repairedResponse = await this.callModel(this.buildRepairPrompt(prompt, modelResponse, error));
+      try {
+        return { ...this.parseModelResponse(repairedResponse), repaired: true };
+      } catch (repairError) {
+        logger.error('Failed to parse model response after repair', {
+          threadId,
+          error: repairError.message,
+          response: repairedResponse.text
+        });
+        throw new Error(`Unable to parse model response: ${repairError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Draw extra classifications at a higher temperature to measure band agreement
+   * @param {string} prompt - Complete prompt with context
+   * @param {string} threadId - Thread ID for logging
+   * @returns {Promise<Array<string>>} Bands from the samples that parsed
+   */
+  async sampleBands(prompt, threadId) {
+    const extraSamples = this.confidenceSamples - 1;
+    if (extraSamples <= 0) return [];
+
+    const results = await Promise.allSettled(
+      Array.from({ length: extraSamples }, () => this.callModel(prompt, this.sampleTemperature))
+    );
+
+    const bands = [];
+    for (const result of results) {
+      try {
+        if (result.status === 'rejected') throw result.reason;
+        bands.push(this.parseModelResponse(result.value).priorityBand);
+      } catch (error) {
+        // A failed sample only reduces the agreement sample size
+        logger.debug('Confidence sample discarded', { threadId, error: error.message });
+      }
+    }
+    return bands;
+  }
+
+  /**
+   * How far a score sits from the nearest boundary with a neighbouring band
+   * @param {number} score - Priority score
+   * @param {string} band - Priority band
+   * @returns {number} 0 on a boundary, 1 at (or beyond) the middle of the band
+   */
+  getBoundaryMargin(score, band) {
+    const [min, max] = this.bandRanges[band];
+    const halfWidth = (max - min) / 2;
+    // 0 and 1000 are the ends of the scale, not boundaries with another band
+    const distances = [];
+    if (min > 0) distances.push(score - min);
+    if (max < 1000) distances.push(max - score);
+
+    return Math.max(0, Math.min(1, Math.min(...distances) / halfWidth));
+  }
+
+  /**
+   * Combine the model's own estimate, sample agreement and boundary distance
+   * @param {Object} classification - Parsed classification
+   * @param {Array<string>} sampledBands - Bands from extra samples
+   * @returns {{confidence: number, signals: Object}} Confidence between 0 and 1 and its inputs
+   */
+  computeConfidence(classification, sampledBands = []) {
+    const signals = {
+      model: classification.modelConfidence,
+      agreement: sampledBands.length > 0
+        ? (sampledBands.filter(band => band === classification.priorityBand).length + 1) / (sampledBands.length + 1)
+        : null,
+      boundary: this.getBoundaryMargin(classification.priorityScore, classification.priorityBand)
+    };
+
+    // Weighted mean over the signals we have
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [name, weight] of Object.entries(this.confidenceWeights)) {
+      if (typeof signals[name] === 'number') {
+        weighted += signals[name] * weight;
+        totalWeight += weight;
+      }
     }
+
+    return {
+      confidence: totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) / 100 : 0,
+      signals
+    };
   }
 
   /**
    * Main classification method
    * @param {Object} thread - Thread data from Plain
-   * @returns {Promise<Object>} Classification result
+   * @returns {Promise<Object>} ClassificationResult
    */
   async classifyThread(thread) {
     const startTime = Date.now();
@@ -300,7 +559,7 @@ reasoning: [short explanation]`;
       const firstMessage = thread.firstMessage.textContent || thread.firstMessage.content;
       
       // Get historical context (sliding window)
-      const historicalContext = await this.getHistoricalContext();
+      const historicalContext = await this.getHistoricalContext(firstMessage);
       
       // Build prompt with context
       const prompt = this.buildPromptWithContext(firstMessage, historicalContext);
@@ -311,11 +570,10 @@ reasoning: [short explanation]`;
         threadId: thread.id
       });
 
-      // Call Claude API
-      const claudeResponse = await this.callClaudeAPI(prompt);
-      
-      // Parse response
-      const classification = this.parseClaudeResponse(claudeResponse);
+      // Call the LLM provider and validate the structured output
+      const classification = await this.getStructuredClassification(prompt, thread.id);
+      const sampledBands = await this.sampleBands(prompt, thread.id);
+      const { confidence, signals } = this.computeConfidence(classification, sampledBands);
       
       const duration = Date.now() - startTime;
       
@@ -323,20 +581,32 @@ reasoning: [short explanation]`;
         threadId: thread.id,
         priorityScore: classification.priorityScore,
         priorityBand: classification.priorityBand,
+        confidence,
         duration,
         historicalContextUsed: historicalContext.length
       });
 
-      return {
+      // Boost strategic accounts according to the customer signals policy
+      return customerSignals.applyPolicy(createClassificationResult({
         priorityScore: classification.priorityScore,
         priorityBand: classification.priorityBand,
         reasoning: classification.reasoning || 'AI-powered classification',
-        confidence: 'high', // Could be enhanced with confidence scoring
-        method: 'ai-claude',
+        confidence,
+        method: `ai-${this.provider.name}`,
+        signals: {
+          confidence: signals,
+          sampledBands,
+          repaired: classification.repaired
+        },
+        impactScope: classification.impactScope,
+        productArea: classification.productArea,
+        sentiment: classification.sentiment,
         historicalContextUsed: historicalContext.length,
         modelUsed: this.model,
+        provider: this.provider.name,
+        promptVersion: this.promptVersion,
         processingTime: duration
-      };
+      }), thread);
 
     } catch (error) {
       const duration = Date.now() - startTime;
@@ -356,7 +626,7 @@ reasoning: [short explanation]`;
    * Provide fallback classification when AI fails
    * @param {Object} thread - Thread data
    * @param {Error} error - Original error
-   * @returns {Object} Fallback classification
+   * @returns {Object} Fallback ClassificationResult
    */
   getFallbackClassification(thread, error) {
     logger.warn('Using fallback classification due to AI failure', {
@@ -389,22 +659,25 @@ reasoning: [short explanation]`;
       reasoning = 'Contains general inquiry keywords, classified as low priority';
     }
 
-    return {
+    return createClassificationResult({
       priorityScore,
       priorityBand,
       reasoning,
-      confidence: 'low',
+      confidence: 0.3, // Keyword guesses always go to review under the default thresholds
       method: 'fallback-keywords',
+      signals: {
+        error: error.message
+      },
       error: error.message
-    };
+    });
   }
 
   /**
    * Check if AI classification is available
-   * @returns {boolean} True if API key is configured
+   * @returns {boolean} True if the provider is configured
    */
   isAvailable() {
-    return !!this.apiKey;
+    return Boolean(this.provider?.isAvailable());
   }
 
   /**
@@ -431,5 +704,6 @@ reasoning: [short explanation]`;
   }
 }
 
-// Export singleton instance
+// Export singleton instance (the class is exposed for challenger instances)
 module.exports = new AIPriorityClassifier();
+module.exports.AIPriorityClassifier = AIPriorityClassifier;
@@ -0,0 +1,74 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { BusinessCalendar } = require('../utils/businessCalendar');
+
+/**
+ * Business Hours
+ *
+ * Picks the business calendar for a customer tier (24/7 for custom, business
+ * hours for hobby by default) and uses it to measure how long a thread has
+ * been open and when its SLA falls due.
+ */
+class BusinessHours {
+  constructor() {
+    this.settings = config.businessHours || {};
+    this.calendars = this.loadCalendars(this.settings.calendars || {});
+  }
+
+  /**
+   * Build the configured calendars, skipping invalid ones
+   * @param {Object} definitions - Calendar definitions by name
+   * @returns {Object} BusinessCalendar by name
+   */
+  loadCalendars(definitions) {
+    const calendars = { '24x7': new BusinessCalendar({ alwaysOpen: true }) };
+
+    for (const [name, definition] of Object.entries(definitions)) {
+      try {
+        calendars[name] = new BusinessCalendar(definition);
+      } catch (error) {
+        logger.error('Invalid business calendar, using 24/7 instead', {
+          calendar: name,
+          error: error.message
+        });
+      }
+    }
+
+    return calendars;
+  }
+
+  /**
+   * Get the calendar for a customer tier
+   * @param {string} tier - Customer tier
+   * @returns {BusinessCalendar} Calendar
+   */
+  calendarForTier(tier) {
+    const name = this.settings.tierCalendars?.[tier] || this.settings.defaultCalendar;
+    return this.calendars[name] || this.calendars['24x7'];
+  }
+
+  /**
+   * Working hours a thread has been open
+   * @param {Date|string} createdAt - When the thread was created
+   * @param {string} tier - Customer tier
+   * @param {Date|string} now - End of the period (defaults to now)
+   * @returns {number} Hours
+   */
+  hoursSince(createdAt, tier, now = new Date()) {
+    return this.calendarForTier(tier).hoursBetween(createdAt, now);
+  }
+
+  /**
+   * Time after adding working hours
+   * @param {Date|string} startTime - Start time
+   * @param {number} hours - Working hours to add
+   * @param {string} tier - Customer tier
+   * @returns {Date} Resulting time
+   */
+  addHours(startTime, hours, tier) {
+    return this.calendarForTier(tier).addHours(startTime, hours);
+  }
+}
+
+// Export singleton instance
+module.exports = new BusinessHours();
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const database = require('./database');
+const rulesClassifier = require('./priorityClassifier');
+const hybridClassifier = require('./hybridPriorityClassifier');
+const webhookQueue = require('./webhookQueue');
+const { AIPriorityClassifier } = require('./aiPriorityClassifier');
+
+// Queue job type for a sampled comparison, handled by the webhook endpoints' processEvent
+const EVENT_TYPE = 'challenger.compare';
+
+/**
+ * Champion/Challenger Classifier
+ *
+ * Runs a configurable challenger next to the live (champion) classifier on a
+ * sampled share of traffic and stores both results with agreement metrics.
+ * The challenger never affects labels applied in Plain, and never delays
+ * them: a sampled comparison is queued as its own job once the live
+ * classification is done. Without the queue it runs inline after labeling,
+ * since a serverless function may be frozen once the response is sent.
+ *
+ * An AI challenger differs from the champion by provider, model, example
+ * selection or prompt instructions.
+ */
+class ChallengerClassifier {
+  constructor() {
+    this.challengerType = config.challengerClassifier;
+    this.sampleRate = Math.max(0, Math.min(1, config.challengerSampleRate || 0));
+    this.classifier = this.createClassifier();
+    this.name = this.describeChallenger();
+  }
+
+  /**
+   * Create the challenger classifier from configuration
+   * @returns {Object|null} Classifier with a classifyThread method
+   */
+  createClassifier() {
+    if (this.challengerType === 'rules') {
+      return rulesClassifier;
+    }
+
+    if (this.challengerType === 'ai') {
+      let instructions = null;
+      if (config.challengerPromptFile) {
+        try {
+          instructions = fs.readFileSync(path.resolve(config.challengerPromptFile), 'utf8').trim();
+        } catch (error) {
+          logger.warn('Failed to read challenger prompt file, challenger disabled', {
+            file: config.challengerPromptFile,
+            error: error.message
+          });
+          return null;
+        }
+      }
+
+      return new AIPriorityClassifier({
+        providerName: config.challengerProvider || config.aiProvider,
+        model: config.challengerModel,
+        exampleSelection: config.challengerExampleSelection,
+        instructions
+      });
+    }
+
+    if (this.challengerType) {
+      logger.warn('Unknown challenger classifier configured, challenger disabled', {
+        challengerClassifier: this.challengerType
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Build a stable name for reporting, e.g. "ai:anthropic:claude-3-5-haiku:similar:v3"
+   * @returns {string|null} Challenger name
+   */
+  describeChallenger() {
+    if (!this.classifier) return null;
+    if (this.challengerType === 'rules') return 'rules';
+    const { provider, model, exampleSelection, promptVersion } = this.classifier;
+    return `ai:${provider?.name || 'unknown'}:${model}:${exampleSelection}:${promptVersion}`;
+  }
+
+  /**
+   * Check whether the challenger is configured and can run
+   * @returns {boolean} True if enabled
+   */
+  isEnabled() {
+    if (!this.classifier || this.sampleRate <= 0) return false;
+    return this.challengerType !== 'ai' || this.classifier.isAvailable();
+  }
+
+  /**
+   * Decide whether this thread is in the sampled share of traffic
+   * @returns {boolean} True if the challenger should run
+   */
+  shouldSample() {
+    return this.isEnabled() && Math.random() < this.sampleRate;
+  }
+
+  /**
+   * Queue a comparison for a sampled thread, or run it inline without the queue
+   * @param {Object} thread - Thread data passed to the champion classifier
+   * @param {Object} championResult - Result from the live classifier
+   * @param {string} requestId - Request ID for tracking
+   * @returns {Promise<Object|null>} { queued, jobId }, or null if not sampled
+   */
+  async scheduleIfSampled(thread, championResult, requestId) {
+    if (!this.shouldSample()) {
+      return null;
+    }
+
+    // Own request ID, so the job's outcome isn't recorded on the webhook event
+    const jobId = await webhookQueue.enqueue(EVENT_TYPE, { thread, championResult }, `${requestId}:challenger`);
+    if (!jobId) {
+      await this.compare(thread, championResult, requestId);
+    }
+    return { queued: !!jobId, jobId };
+  }
+
+  /**
+   * Run the challenger for a thread and store the comparison
+   * @param {Object} thread - Thread data passed to the champion classifier
+   * @param {Object} championResult - Result from the live classifier
+   * @param {string} requestId - Request ID for tracking
+   * @returns {Promise<Object|null>} Comparison, or null if the challenger failed
+   */
+  async compare(thread, championResult, requestId) {
+    try {
+      const challengerResult = await this.classifier.classifyThread(thread);
+      const metrics = hybridClassifier.calculateAgreement(championResult, challengerResult);
+
+      const comparison = {
+        threadId: thread.id,
+        championMethod: championResult.method || championResult.classifier,
+        championBand: championResult.priorityBand,
+        championScore: championResult.priorityScore,
+        championResult,
+        challengerName: this.name,
+        challengerBand: challengerResult.priorityBand,
+        challengerScore: challengerResult.priorityScore,
+        challengerResult,
+        ...metrics
+      };
+
+      await database.saveComparison(comparison);
+
+      logger.info('Challenger classification completed', {
+        requestId,
+        threadId: thread.id,
+        challenger: this.name,
+        championBand: comparison.championBand,
+        challengerBand: comparison.challengerBand,
+        bandAgreement: metrics.bandAgreement,
+        scoreDifference: metrics.scoreDifference
+      });
+
+      return comparison;
+    } catch (error) {
+      logger.error('Challenger classification failed', {
+        requestId,
+        threadId: thread.id,
+        challenger: this.name,
+        error: error.message
+      });
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ChallengerClassifier();
+module.exports.EVENT_TYPE = EVENT_TYPE;
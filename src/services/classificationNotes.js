@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const database = require('./database');
+const plainApiClient = require('./plainApiClient');
+const customerTiers = require('./customerTiers');
+const components = require('../utils/threadEventComponents');
+
+const VERDICTS = {
+  correct: 'Correct',
+  should_be_higher: 'Should be higher',
+  should_be_lower: 'Should be lower'
+};
+
+/**
+ * Classification Notes
+ *
+ * Posts a timeline note next to every applied priority label explaining the
+ * decision, with buttons agents can use to give quick feedback on it.
+ *
+ * Button links are signed with FEEDBACK_SIGNING_SECRET and expire after
+ * FEEDBACK_LINK_TTL_DAYS. All buttons on a note share one expiry, which
+ * identifies the note: clicking again updates its feedback instead of adding more.
+ */
+class ClassificationNotes {
+  constructor() {
+    this.enabled = config.classificationNotesEnabled;
+    this.publicBaseUrl = config.publicBaseUrl ? config.publicBaseUrl.replace(/\/$/, '') : null;
+    this.signingSecret = config.feedbackSigningSecret;
+    this.linkTtlSeconds = (config.feedbackLinkTtlDays || 30) * 24 * 60 * 60;
+
+    if (this.publicBaseUrl && !this.signingSecret) {
+      logger.warn('PUBLIC_BASE_URL is set without FEEDBACK_SIGNING_SECRET, feedback buttons disabled');
+    }
+  }
+
+  /**
+   * Check whether notes get feedback buttons
+   * @returns {boolean} True if links can be built and signed
+   */
+  hasFeedbackButtons() {
+    return Boolean(this.publicBaseUrl && this.signingSecret);
+  }
+
+  /**
+   * Sign a feedback link so it can't be forged for other threads, verdicts or expiry times
+   * @param {string} threadId - Plain thread ID
+   * @param {string} band - Band the feedback is about
+   * @param {string} verdict - Feedback verdict
+   * @param {number} expires - Expiry as Unix seconds
+   * @returns {string} Hex HMAC
+   */
+  signFeedback(threadId, band, verdict, expires) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${threadId}:${band}:${verdict}:${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Build the URL behind a feedback button
+   * @param {string} threadId - Plain thread ID
+   * @param {string} band - Band the feedback is about
+   * @param {string} verdict - Feedback verdict
+   * @param {number} expires - Expiry as Unix seconds
+   * @returns {string} Feedback URL
+   */
+  buildFeedbackUrl(threadId, band, verdict, expires) {
+    const params = new URLSearchParams({
+      threadId,
+      band,
+      verdict,
+      expires: String(expires),
+      token: this.signFeedback(threadId, band, verdict, expires)
+    });
+    return `${this.publicBaseUrl}/feedback?${params.toString()}`;
+  }
+
+  /**
+   * Describe what drove the decision: matched keywords and rules for rules, reasoning for AI
+   * @param {Object} classification - ClassificationResult
+   * @returns {string} Explanation
+   */
+  describeEvidence(classification) {
+    const matches = classification.signals?.matches?.[classification.priorityBand];
+    const keywords = (matches || [])
+      .filter(match => match.startsWith('keywords: '))
+      .map(match => match.slice('keywords: '.length));
+    const rules = (classification.signals?.matchedRules || [])
+      .filter(rule => rule.band === classification.priorityBand)
+      .map(rule => `${rule.rule} ("${rule.evidence}")`);
+
+    const evidence = [];
+    if (keywords.length > 0) evidence.push(`Matched keywords: ${keywords.join(', ')}`);
+    if (rules.length > 0) evidence.push(`Matched rules: ${rules.join(', ')}`);
+
+    return evidence.length > 0
+      ? evidence.join('. ')
+      : classification.reasoning || 'No reasoning provided';
+  }
+
+  /**
+   * Build the timeline note for an applied label
+   * @param {Object} thread - Thread data from Plain
+   * @param {Object} classification - ClassificationResult
+   * @returns {Array<Object>} Plain components
+   */
+  buildNote(thread, classification) {
+    // The mapped tier the rules and SLA used, including one looked up from the customer
+    const tier = customerTiers.tierFor(thread);
+
+    const note = [
+      components.row('Band', classification.priorityBand),
+      components.row('Score', classification.priorityScore),
+      components.row('Confidence', classification.confidence.toFixed(2)),
+      components.row('Method', classification.method),
+      components.row('Customer tier', tier)
+    ];
+
+    const customer = classification.signals?.customer;
+    if (customer?.boost > 0) {
+      note.push(components.row('Boosted', `+${customer.boost} (${customer.reasons.join(', ')})`));
+    }
+
+    note.push(
+      components.spacer(),
+      components.text(this.describeEvidence(classification), { color: 'MUTED' }),
+      components.divider()
+    );
+
+    if (this.hasFeedbackButtons()) {
+      const expires = Math.floor(Date.now() / 1000) + this.linkTtlSeconds;
+      note.push(components.text('Was this priority right?', { size: 'S' }));
+      for (const [verdict, label] of Object.entries(VERDICTS)) {
+        note.push(components.linkButton(label, this.buildFeedbackUrl(thread.id, classification.priorityBand, verdict, expires)));
+      }
+    } else {
+      note.push(components.text('Wrong priority? Change the label; corrections are recorded as feedback.', { size: 'S', color: 'MUTED' }));
+    }
+
+    return note;
+  }
+
+  /**
+   * Post the explanation note for an applied label
+   * @param {Object} thread - Thread data from Plain
+   * @param {Object} classification - ClassificationResult
+   * @param {string} requestId - Request ID for tracking
+   * @returns {Promise<boolean>} True if the note was posted
+   */
+  async postAppliedNote(thread, classification, requestId) {
+    if (!this.enabled) return false;
+
+    try {
+      await plainApiClient.createThreadEvent(
+        thread.id,
+        `Priority set to ${classification.priorityBand}`,
+        this.buildNote(thread, classification)
+      );
+      return true;
+    } catch (error) {
+      // The label is already applied, a missing note shouldn't fail the webhook
+      logger.error('Failed to post classification note', {
+        requestId,
+        threadId: thread.id,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Verify and store feedback from a note button
+   * @param {Object} params - { threadId, band, verdict, expires, token }
+   * @returns {Promise<Object>} { valid, expired, saved }
+   */
+  async recordFeedback({ threadId, band, verdict, expires, token }) {
+    const invalid = { valid: false, expired: false, saved: false };
+    if (!this.signingSecret || !threadId || !band || !VERDICTS[verdict] || !/^\d+$/.test(expires || '') || typeof token !== 'string') {
+      return invalid;
+    }
+
+    const expected = Buffer.from(this.signFeedback(threadId, band, verdict, expires), 'hex');
+    const provided = Buffer.from(token, 'hex');
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return invalid;
+    }
+
+    if (Number(expires) * 1000 < Date.now()) {
+      return { ...invalid, expired: true };
+    }
+
+    const id = await database.saveFeedback({
+      threadId,
+      priorityBand: band,
+      verdict,
+      linkExpiresAt: new Date(Number(expires) * 1000)
+    });
+
+    logger.info('Classification feedback received', {
+      threadId,
+      band,
+      verdict,
+      saved: !!id
+    });
+
+    return { valid: true, expired: false, saved: !!id };
+  }
+}
+
+// Export singleton instance
+module.exports = new ClassificationNotes();
@@ -0,0 +1,35 @@
+const config = require('../config/config');
+
+/**
+ * Confidence Policy
+ *
+ * Decides whether a classification is confident enough to label the thread
+ * automatically or should go to review, using a threshold per priority band.
+ */
+class ConfidencePolicy {
+  constructor() {
+    this.thresholds = config.confidenceThresholds;
+    this.defaultThreshold = 0.7;
+  }
+
+  /**
+   * Get the auto-label threshold for a band
+   * @param {string} band - Priority band
+   * @returns {number} Minimum confidence
+   */
+  getThreshold(band) {
+    return this.thresholds?.[band] ?? this.defaultThreshold;
+  }
+
+  /**
+   * Check whether a classification should be applied without review
+   * @param {Object} classification - ClassificationResult
+   * @returns {boolean} True if confidence meets the band's threshold
+   */
+  shouldAutoApply(classification) {
+    return classification.confidence >= this.getThreshold(classification.priorityBand);
+  }
+}
+
+// Export singleton instance
+module.exports = new ConfidencePolicy();
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const database = require('./database');
+const { PRIORITY_BANDS } = require('../utils/classificationMetrics');
+const { scoreForBand, createClassificationResult } = require('../utils/classificationResult');
+
+const signalsSchema = Joi.object({
+  customerKey: Joi.string().trim().lowercase().min(1).required(),
+  vip: Joi.boolean().truthy('yes', '1', 'y').falsy('no', '0', 'n', '').default(false),
+  mrrBand: Joi.string().trim().lowercase().allow('', null).default(null),
+  openIncidents: Joi.number().integer().min(0).empty('').default(0),
+  recentTickets: Joi.number().integer().min(0).empty('').default(0)
+}).unknown(true);
+
+/**
+ * Customer Signals
+ *
+ * Looks up who the customer is beyond their tier: VIP flag, MRR band, open
+ * incidents and recent ticket volume, from a CSV/JSON file or the
+ * `customer_signals` table. Both classifiers pass their result through
+ * applyPolicy, which raises the band according to config.customerSignals.policy
+ * so a P2-looking ticket from a strategic account can become P1.
+ *
+ * Records are keyed by Plain customer ID, external ID, email or email domain.
+ */
+class CustomerSignals {
+  constructor() {
+    this.settings = config.customerSignals || {};
+    this.source = this.settings.source || 'none';
+    this.policy = this.settings.policy || {};
+    this.records = new Map(); // File source: customerKey -> signals
+    this.fileModifiedAt = null;
+    this.lastCheckedAt = 0;
+  }
+
+  /**
+   * Parse a signals file (header row with customerKey, vip, mrrBand, openIncidents, recentTickets)
+   * @param {string} text - File contents
+   * @param {string} filename - `.csv` files are parsed as CSV, anything else as a JSON array
+   * @returns {Array<Object>} Raw records
+   */
+  parseFile(text, filename) {
+    if (!/\.csv$/i.test(filename)) {
+      return JSON.parse(text);
+    }
+
+    // Simple CSV: no commas inside values
+    const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim());
+    const columns = header.split(',').map(column => column.trim());
+    return lines.map(line => {
+      const values = line.split(',').map(value => value.trim().replace(/^"(.*)"$/, '$1'));
+      return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+    });
+  }
+
+  /**
+   * Load the signals file, skipping invalid records
+   */
+  loadFile() {
+    const file = path.resolve(this.settings.file || '');
+    const { mtimeMs } = fs.statSync(file);
+    const records = new Map();
+    let skipped = 0;
+
+    for (const raw of this.parseFile(fs.readFileSync(file, 'utf8'), file)) {
+      const { value, error } = signalsSchema.validate(raw, { convert: true });
+      if (error) {
+        skipped++;
+        continue;
+      }
+      records.set(value.customerKey, value);
+    }
+
+    this.records = records;
+    this.fileModifiedAt = mtimeMs;
+
+    logger.info('Customer signals loaded', {
+      file,
+      customers: records.size,
+      skipped
+    });
+  }
+
+  /**
+   * Reload the file if it changed, at most every reloadIntervalSeconds
+   */
+  refreshFile() {
+    const now = Date.now();
+    if (this.fileModifiedAt !== null && now - this.lastCheckedAt < (this.settings.reloadIntervalSeconds || 0) * 1000) {
+      return;
+    }
+    this.lastCheckedAt = now;
+
+    try {
+      const { mtimeMs } = fs.statSync(path.resolve(this.settings.file || ''));
+      if (mtimeMs !== this.fileModifiedAt) {
+        this.loadFile();
+      }
+    } catch (error) {
+      logger.error('Failed to load customer signals file, keeping previous data', {
+        file: this.settings.file,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Keys a thread's customer can be found under, most specific first
+   * @param {Object} thread - Thread data from Plain
+   * @returns {Array<string>} Lowercased keys
+   */
+  keysFor(thread) {
+    const customer = thread?.customer || {};
+    const email = customer.email?.email || customer.email;
+    const keys = [
+      customer.id,
+      customer.externalId,
+      typeof email === 'string' ? email : null,
+      typeof email === 'string' && email.includes('@') ? email.split('@').pop() : null
+    ];
+    return keys.filter(Boolean).map(key => String(key).toLowerCase());
+  }
+
+  /**
+   * Look up the signals for a thread's customer
+   * @param {Object} thread - Thread data from Plain
+   * @returns {Promise<Object|null>} { customerKey, vip, mrrBand, openIncidents, recentTickets } or null
+   */
+  async getSignals(thread) {
+    if (this.source === 'none') return null;
+
+    const keys = this.keysFor(thread);
+
+    if (this.source === 'file') {
+      this.refreshFile();
+      const key = keys.find(k => this.records.has(k));
+      return key ? this.records.get(key) : null;
+    }
+
+    if (this.source === 'database') {
+      const rows = await database.getCustomerSignals(keys);
+      const row = keys.map(k => rows.find(r => r.customer_key === k)).find(Boolean);
+      return row
+        ? {
+          customerKey: row.customer_key,
+          vip: row.vip,
+          mrrBand: row.mrr_band,
+          openIncidents: row.open_incidents,
+          recentTickets: row.recent_tickets
+        }
+        : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Work out how many bands the policy raises a ticket by
+   * @param {Object} signals - Customer signals
+   * @returns {Object} { boost, reasons }
+   */
+  evaluatePolicy(signals) {
+    const reasons = [];
+    let boost = 0;
+
+    if (signals.vip && this.policy.vip) {
+      boost += this.policy.vip;
+      reasons.push('VIP customer');
+    }
+
+    const mrrBoost = signals.mrrBand ? this.policy.mrrBands?.[signals.mrrBand] : 0;
+    if (mrrBoost) {
+      boost += mrrBoost;
+      reasons.push(`${signals.mrrBand} MRR`);
+    }
+
+    const incidents = this.policy.openIncidents;
+    if (incidents && signals.openIncidents >= incidents.min) {
+      boost += incidents.boost;
+      reasons.push(`${signals.openIncidents} open incident(s)`);
+    }
+
+    const volume = this.policy.recentTickets;
+    if (volume && signals.recentTickets >= volume.min) {
+      boost += volume.boost;
+      reasons.push(`${signals.recentTickets} recent tickets`);
+    }
+
+    return { boost: Math.min(boost, this.policy.maxBoost ?? 1), reasons };
+  }
+
+  /**
+   * Apply the boost policy to a classification
+   * @param {Object} classification - ClassificationResult
+   * @param {Object} thread - Thread data from Plain
+   * @returns {Promise<Object>} ClassificationResult, boosted if the policy says so
+   */
+  async applyPolicy(classification, thread) {
+    let signals;
+    try {
+      signals = await this.getSignals(thread);
+    } catch (error) {
+      logger.error('Customer signals lookup failed, classifying without them', {
+        threadId: thread?.id,
+        error: error.message
+      });
+      return classification;
+    }
+    if (!signals) return classification;
+
+    const { boost, reasons } = this.evaluatePolicy(signals);
+    const band = classification.priorityBand;
+    const bandIndex = PRIORITY_BANDS.indexOf(band);
+    const highestIndex = Math.max(0, PRIORITY_BANDS.indexOf(this.policy.highestBand));
+
+    // Bands already at or above highestBand stay where they are
+    const newIndex = bandIndex > highestIndex ? Math.max(bandIndex - boost, highestIndex) : bandIndex;
+    const newBand = PRIORITY_BANDS[newIndex] || band;
+    const boosted = newBand !== band;
+    const customer = { ...signals, boost: boosted ? bandIndex - newIndex : 0, reasons };
+
+    if (boosted) {
+      logger.info('Priority boosted by customer signals', {
+        threadId: thread?.id,
+        customerKey: signals.customerKey,
+        from: band,
+        to: newBand,
+        reasons
+      });
+    }
+
+    return createClassificationResult({
+      ...classification,
+      priorityBand: newBand,
+      priorityScore: boosted ? scoreForBand(newBand, classification.confidence) : classification.priorityScore,
+      reasoning: boosted
+        ? `${classification.reasoning} Boosted from ${band} to ${newBand}: ${reasons.join(', ')}.`
+        : classification.reasoning,
+      signals: {
+        ...classification.signals,
+        customer
+      }
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new CustomerSignals();
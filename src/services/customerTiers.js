@@ -0,0 +1,152 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const plainApiClient = require('./plainApiClient');
+
+const FAILED_LOOKUP_TTL_MS = 60 * 1000; // Retry a failed customer lookup after this, not after the full TTL
+
+/**
+ * Compile mapping entries into whole-word, case-insensitive matchers
+ * @param {Array<Object>} entries - [{ pattern, tier }]
+ * @returns {Array<Object>} [{ tier, regex }]
+ */
+function compileMapping(entries) {
+  return (entries || []).map(({ pattern, tier }) => ({
+    tier,
+    regex: new RegExp(`(?<!\\w)${pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?!\\w)`, 'i')
+  }));
+}
+
+/**
+ * Customer Tiers
+ *
+ * Maps names from Plain (thread tier, customer groups, company name and
+ * domain) to the internal tiers used in the priority rules. Explicit
+ * config.tierMapping entries apply to every name; the built-in plan names in
+ * config.defaultTierMapping only to tiers and customer groups, since a company
+ * or domain merely containing "pro" or "free" says nothing about its plan.
+ * Threads without a tier are resolved from the customer's data with
+ * plainApiClient.getCustomer, and the result is cached per customer.
+ */
+class CustomerTiers {
+  constructor() {
+    this.explicitMapping = compileMapping(config.tierMapping);
+    this.defaultMapping = compileMapping(config.defaultTierMapping);
+    this.defaultTier = config.defaultCustomerTier || 'hobby';
+    this.cacheTtlMs = (config.tierCacheTtlSeconds || 0) * 1000;
+    this.cache = new Map(); // customerId -> { tier, source, expiresAt }
+  }
+
+  /**
+   * Map a Plain name to an internal tier
+   * @param {string} name - Tier, customer group, company name or domain
+   * @param {Object} options - { explicitOnly } to skip the built-in plan names
+   * @returns {string|null} Internal tier or null if nothing matches
+   */
+  mapName(name, { explicitOnly = false } = {}) {
+    if (!name) return null;
+    const mapping = explicitOnly ? this.explicitMapping : [...this.explicitMapping, ...this.defaultMapping];
+    const entry = mapping.find(({ regex }) => regex.test(name));
+    return entry ? entry.tier : null;
+  }
+
+  /**
+   * Resolve a tier from customer and company data
+   * @param {Object} customer - Customer from plainApiClient.getCustomer
+   * @returns {Object|null} { tier, source } or null if nothing maps
+   */
+  tierFromCustomer(customer) {
+    const company = customer.company || {};
+    const groups = (customer.customerGroupMemberships?.edges || [])
+      .map(edge => edge.node?.customerGroup)
+      .filter(Boolean);
+    const emailDomain = customer.email?.email?.split('@').pop();
+
+    // [source, name, explicitOnly]
+    const candidates = [
+      ['company tier', company.tier?.name, false],
+      ...groups.flatMap(group => [['customer group', group.name, false], ['customer group', group.key, false]]),
+      ['company', company.name, true],
+      ['company domain', company.domainName, true],
+      ['email domain', emailDomain, true]
+    ];
+
+    for (const [source, name, explicitOnly] of candidates) {
+      const tier = this.mapName(name, { explicitOnly });
+      if (tier) return { tier, source: `${source}: ${name}` };
+    }
+    return null;
+  }
+
+  /**
+   * Get a cached tier for a customer
+   * @param {string} customerId - Plain customer ID
+   * @returns {string|null} Tier or null if not cached (or expired)
+   */
+  getCached(customerId) {
+    const entry = customerId && this.cache.get(customerId);
+    if (!entry) return null;
+    if (entry.expiresAt < Date.now()) {
+      this.cache.delete(customerId);
+      return null;
+    }
+    return entry.tier;
+  }
+
+  /**
+   * Tier of a thread without calling Plain: thread tier, then cache, then default
+   * @param {Object} thread - Thread data from Plain
+   * @returns {string} Internal tier
+   */
+  tierFor(thread) {
+    const tierName = thread?.tier?.name;
+    if (tierName) {
+      // Unmapped names are kept as-is so rules can still list them
+      return this.mapName(tierName) || tierName.toLowerCase();
+    }
+    return this.getCached(thread?.customer?.id) || this.defaultTier;
+  }
+
+  /**
+   * Resolve a thread's tier, looking up the customer when the thread has none
+   * @param {Object} thread - Thread data from Plain
+   * @returns {Promise<string>} Internal tier
+   */
+  async resolve(thread) {
+    const customerId = thread?.customer?.id;
+    if (thread?.tier?.name || !customerId || this.getCached(customerId)) {
+      return this.tierFor(thread);
+    }
+
+    let resolved = null;
+    let failed = false;
+    try {
+      const customer = await plainApiClient.getCustomer(customerId);
+      resolved = this.tierFromCustomer(customer);
+    } catch (error) {
+      // Cached as the default briefly, so a failing lookup isn't retried on every message
+      failed = true;
+      logger.warn('Customer tier lookup failed, using default tier', {
+        customerId,
+        error: error.message
+      });
+    }
+
+    const tier = resolved?.tier || this.defaultTier;
+    this.cache.set(customerId, {
+      tier,
+      source: resolved?.source || 'default',
+      expiresAt: Date.now() + (failed ? Math.min(FAILED_LOOKUP_TTL_MS, this.cacheTtlMs) : this.cacheTtlMs)
+    });
+
+    logger.debug('Customer tier resolved', {
+      customerId,
+      tier,
+      source: resolved?.source || 'default'
+    });
+
+    return tier;
+  }
+}
+
+// Export singleton instance
+module.exports = new CustomerTiers();
@@ -1,6 +1,10 @@
 const { Pool } = require('pg');
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const migrationRunner = require('./migrationRunner');
+
+// Unique (thread_id, revision) on classification_events, from migration 001
+const REVISION_CONSTRAINT = 'classification_events_thread_id_revision_key';
 
 /**
  * Database service for Supabase PostgreSQL connection
@@ -14,8 +18,10 @@ class DatabaseService {
 
   /**
    * Initialize database connection
+   * @param {Object} options
+   * @param {boolean} options.migrate - Apply pending migrations after connecting
    */
-  async initialize() {
+  async initialize({ migrate = config.runMigrationsOnStartup } = {}) {
     if (this.pool) {
       return this.pool;
     }
@@ -74,8 +80,10 @@ class DatabaseService {
         }
       });
 
-      // Create tables if they don't exist
-      await this.createTables();
+      // Bring the schema up to date
+      if (migrate) {
+        await this.runMigrations();
+      }
 
       return this.pool;
     } catch (error) {
@@ -89,45 +97,19 @@ class DatabaseService {
   }
 
   /**
-   * Create necessary tables based on your table.sql design
+   * Apply pending schema migrations
    */
-  async createTables() {
-    if (!this.pool) return;
-
-    const createTablesSQL = `
-      -- Basic ticket storage table (based on your table.sql)
-      CREATE TABLE IF NOT EXISTS tickets (
-        id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
-        thread_id text NOT NULL UNIQUE,
-        message_id text,
-        first_message text NOT NULL,
-        priority_score integer,
-        priority_band text,
-        reasoning text, -- for debugging LLM decisions
-        processed_at timestamp with time zone,
-        created_at timestamp with time zone DEFAULT now(),
-        updated_at timestamp with time zone DEFAULT now()
-      );
-
-      -- Indexes for fast lookups
-      CREATE INDEX IF NOT EXISTS idx_tickets_thread_id ON tickets(thread_id);
-      CREATE INDEX IF NOT EXISTS idx_tickets_priority_band ON tickets(priority_band);
-      CREATE INDEX IF NOT EXISTS idx_tickets_created_at ON tickets(created_at DESC);
-
-      -- Enable Row Level Security (good practice)
-      ALTER TABLE tickets ENABLE ROW LEVEL SECURITY;
-
-      -- Policy to allow service role to do everything (for your API)
-      DROP POLICY IF EXISTS "Service role can do everything" ON tickets;
-      CREATE POLICY "Service role can do everything" ON tickets
-      FOR ALL USING (true); -- Simplified for now, you can adjust based on your auth setup
-    `;
+  async runMigrations() {
+    if (!this.pool) return [];
 
     try {
-      await this.pool.query(createTablesSQL);
-      logger.info('Database tables created/verified successfully');
+      const applied = await migrationRunner.migrate(this.pool);
+      logger.info('Database migrations up to date', {
+        appliedCount: applied.length
+      });
+      return applied;
     } catch (error) {
-      logger.error('Failed to create database tables', {
+      logger.error('Failed to apply database migrations', {
         error: error.message,
         stack: error.stack
       });
@@ -136,7 +118,8 @@ class DatabaseService {
   }
 
   /**
-   * Save or update a ticket classification
+   * Record a ticket classification run
+   * Appends a classification event; the tickets view exposes the latest accepted one
    */
   async saveTicket({
     threadId,
@@ -144,7 +127,24 @@ class DatabaseService {
     firstMessage,
     priorityScore,
     priorityBand,
-    reasoning
+    reasoning,
+    trigger = 'initial',
+    message = null,
+    classifier = null,
+    model = null,
+    promptVersion = null,
+    confidence = null,
+    latencyMs = null,
+    outcome = null,
+    previousBand = null,
+    shadowMode = false,
+    wouldApplyBand = null,
+    accepted = true,
+    impactScope = null,
+    productArea = null,
+    sentiment = null,
+    slaDueAt = null,
+    rulesVersion = null
   }) {
     if (!this.isConnected || !this.pool) {
       logger.debug('Database not connected, skipping ticket save');
@@ -153,42 +153,88 @@ class DatabaseService {
 
     let retryCount = 0;
     const maxRetries = 2;
+    let revisionConflicts = 0;
+    const maxRevisionConflicts = 5;
 
     while (retryCount <= maxRetries) {
       try {
       const query = `
-        INSERT INTO tickets (
-          thread_id, message_id, first_message, priority_score, priority_band, reasoning, processed_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
-        ON CONFLICT (thread_id) 
-        DO UPDATE SET 
-          priority_score = EXCLUDED.priority_score,
-          priority_band = EXCLUDED.priority_band,
-          reasoning = EXCLUDED.reasoning,
-          processed_at = NOW(),
-          updated_at = NOW()
-        RETURNING id
+        WITH thread AS (
+          INSERT INTO ticket_threads (thread_id, message_id, first_message, sla_due_at)
+          VALUES ($1, $2, $3, $22)
+          ON CONFLICT (thread_id)
+          DO UPDATE SET
+            updated_at = NOW(),
+            -- Accepted re-classifications move the deadline until the SLA is settled
+            sla_due_at = CASE
+              WHEN $18 AND $22::timestamptz IS NOT NULL
+                AND ticket_threads.sla_responded_at IS NULL AND ticket_threads.sla_breached_at IS NULL
+              THEN $22::timestamptz
+              ELSE ticket_threads.sla_due_at
+            END
+          RETURNING id
+        )
+        INSERT INTO classification_events (
+          thread_id, revision, trigger, message, classifier, model, prompt_version,
+          priority_score, priority_band, previous_band, reasoning, confidence, latency_ms,
+          outcome, shadow_mode, would_apply_band, accepted, impact_scope, product_area, sentiment,
+          rules_version
+        )
+        SELECT
+          $1,
+          COALESCE((SELECT MAX(revision) FROM classification_events WHERE thread_id = $1), 0) + 1,
+          $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $23
+        RETURNING (SELECT id FROM thread) AS id, revision
       `;
 
       const values = [
         threadId,
         messageId,
         firstMessage,
+        trigger,
+        message,
+        classifier,
+        model,
+        promptVersion,
         priorityScore,
         priorityBand,
-        reasoning
+        previousBand,
+        reasoning,
+        confidence === null || confidence === undefined ? null : String(confidence),
+        latencyMs,
+        outcome,
+        shadowMode,
+        wouldApplyBand,
+        accepted,
+        impactScope,
+        productArea,
+        sentiment,
+        slaDueAt,
+        rulesVersion
       ];
 
       const result = await this.pool.query(query, values);
       
-      logger.debug('Ticket saved to database', {
+      logger.debug('Ticket classification event saved to database', {
         ticketId: result.rows[0].id,
         threadId,
-        priorityBand
+        revision: result.rows[0].revision,
+        priorityBand,
+        outcome
       });
 
         return result.rows[0].id;
       } catch (error) {
+        // A concurrent write to the same thread took this revision first; the next attempt takes the one after it
+        if (error.code === '23505' && error.constraint === REVISION_CONSTRAINT && revisionConflicts < maxRevisionConflicts) {
+          revisionConflicts++;
+          logger.debug('Classification revision taken by a concurrent write, retrying', {
+            threadId,
+            attempt: revisionConflicts
+          });
+          continue;
+        }
+
         retryCount++;
         
         // Check if it's a connection termination error
@@ -244,24 +290,54 @@ class DatabaseService {
   }
 
   /**
-   * Get a ticket by thread ID
+   * Record a manual priority override made by an agent
+   * The original classification columns are left untouched so the two can be compared
    */
-  async getTicket(threadId) {
+  async recordPriorityOverride({
+    threadId,
+    previousBand,
+    newBand,
+    changedBy,
+    changedAt
+  }) {
     if (!this.isConnected || !this.pool) {
+      logger.debug('Database not connected, skipping priority override save');
       return null;
     }
 
     try {
       const query = `
-        SELECT * FROM tickets 
+        UPDATE ticket_threads SET
+          override_previous_band = $2,
+          override_band = $3,
+          override_by = $4,
+          override_at = COALESCE($5, NOW()),
+          updated_at = NOW()
         WHERE thread_id = $1
+        RETURNING id, (SELECT priority_band FROM tickets WHERE thread_id = $1) AS priority_band
       `;
 
-      const result = await this.pool.query(query, [threadId]);
-      return result.rows[0] || null;
+      const values = [threadId, previousBand, newBand, changedBy, changedAt];
+      const result = await this.pool.query(query, values);
+
+      if (result.rows.length === 0) {
+        logger.debug('No classified ticket found for priority override', { threadId });
+        return null;
+      }
+
+      logger.debug('Priority override saved to database', {
+        ticketId: result.rows[0].id,
+        threadId,
+        classifiedBand: result.rows[0].priority_band,
+        previousBand,
+        newBand
+      });
+
+      return result.rows[0].id;
     } catch (error) {
-      logger.error('Failed to get ticket from database', {
+      logger.error('Failed to save priority override', {
         error: error.message,
+        code: error.code,
         threadId
       });
       return null;
@@ -269,9 +345,9 @@ class DatabaseService {
   }
 
   /**
-   * Get recent tickets with statistics
+   * Get override statistics: how often agents changed the classified band
    */
-  async getRecentTickets(limit = 50) {
+  async getOverrideStats(days = 30) {
     if (!this.isConnected || !this.pool) {
       return null;
     }
@@ -279,35 +355,954 @@ class DatabaseService {
     try {
       const query = `
         SELECT 
-          thread_id,
-          message_id,
-          first_message,
           priority_band,
-          priority_score,
-          reasoning,
-          processed_at,
-          created_at,
-          updated_at
+          override_band,
+          COUNT(*) as count
         FROM tickets 
-        WHERE first_message IS NOT NULL
-        AND priority_score IS NOT NULL
-        AND priority_band IS NOT NULL
-        ORDER BY processed_at DESC
+        WHERE override_at >= NOW() - ($1 || ' days')::interval
+        GROUP BY priority_band, override_band
+        ORDER BY priority_band, override_band
+      `;
+
+      const result = await this.pool.query(query, [String(days)]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get override stats', {
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Compare shadow-mode bands with what agents labeled
+   */
+  async getShadowComparison(days = 30) {
+    if (!this.isConnected || !this.pool) {
+      return null;
+    }
+
+    try {
+      const query = `
+        SELECT 
+          would_apply_band,
+          override_band,
+          COUNT(*) as count
+        FROM tickets 
+        WHERE shadow_mode = true
+        AND created_at >= NOW() - ($1 || ' days')::interval
+        GROUP BY would_apply_band, override_band
+        ORDER BY would_apply_band, override_band
+      `;
+
+      const result = await this.pool.query(query, [String(days)]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get shadow comparison', {
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Save a champion/challenger comparison
+   */
+  async saveComparison({
+    threadId,
+    championMethod,
+    championBand,
+    championScore,
+    championResult,
+    challengerName,
+    challengerBand,
+    challengerScore,
+    challengerResult,
+    bandAgreement,
+    scoreDifference,
+    agreement
+  }) {
+    if (!this.isConnected || !this.pool) {
+      logger.debug('Database not connected, skipping comparison save');
+      return null;
+    }
+
+    try {
+      const query = `
+        INSERT INTO classification_comparisons (
+          thread_id, champion_method, champion_band, champion_score, champion_result,
+          challenger_name, challenger_band, challenger_score, challenger_result,
+          band_agreement, score_difference, agreement
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING id
+      `;
+
+      const values = [
+        threadId,
+        championMethod,
+        championBand,
+        championScore,
+        JSON.stringify(championResult),
+        challengerName,
+        challengerBand,
+        challengerScore,
+        JSON.stringify(challengerResult),
+        bandAgreement,
+        scoreDifference,
+        agreement
+      ];
+
+      const result = await this.pool.query(query, values);
+      return result.rows[0].id;
+    } catch (error) {
+      logger.error('Failed to save classifier comparison', {
+        error: error.message,
+        code: error.code,
+        threadId
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get champion/challenger agreement statistics
+   */
+  async getComparisonStats(days = 7) {
+    if (!this.isConnected || !this.pool) {
+      return null;
+    }
+
+    try {
+      const query = `
+        SELECT 
+          challenger_name,
+          COUNT(*) as count,
+          AVG(CASE WHEN band_agreement THEN 1 ELSE 0 END) as band_agreement_rate,
+          AVG(CASE WHEN agreement THEN 1 ELSE 0 END) as agreement_rate,
+          AVG(score_difference) as avg_score_difference
+        FROM classification_comparisons 
+        WHERE created_at >= NOW() - ($1 || ' days')::interval
+        GROUP BY challenger_name
+        ORDER BY challenger_name
+      `;
+
+      const result = await this.pool.query(query, [String(days)]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get comparison stats', {
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Record quick feedback on a classification from a timeline note button
+   * Keeps one row per note (identified by its link expiry); a later click replaces the verdict
+   */
+  async saveFeedback({ threadId, priorityBand, verdict, linkExpiresAt }) {
+    if (!this.isConnected || !this.pool) {
+      logger.debug('Database not connected, skipping feedback save');
+      return null;
+    }
+
+    try {
+      const query = `
+        INSERT INTO classification_feedback (thread_id, priority_band, verdict, link_expires_at)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (thread_id, priority_band, link_expires_at)
+        DO UPDATE SET verdict = EXCLUDED.verdict, updated_at = NOW()
+        RETURNING id
+      `;
+
+      const result = await this.pool.query(query, [threadId, priorityBand, verdict, linkExpiresAt]);
+      return result.rows[0].id;
+    } catch (error) {
+      logger.error('Failed to save classification feedback', {
+        error: error.message,
+        code: error.code,
+        threadId
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Record an escalation action (assignment or notification)
+   */
+  async saveEscalation({ threadId, priorityBand, reason, action, target, success, error = null }) {
+    if (!this.isConnected || !this.pool) {
+      logger.debug('Database not connected, skipping escalation save');
+      return null;
+    }
+
+    try {
+      const query = `
+        INSERT INTO escalations (thread_id, priority_band, reason, action, target, success, error)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
+      `;
+
+      const result = await this.pool.query(query, [threadId, priorityBand, reason, action, target, success, error]);
+      return result.rows[0].id;
+    } catch (saveError) {
+      logger.error('Failed to save escalation', {
+        error: saveError.message,
+        code: saveError.code,
+        threadId
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get when each user was last assigned a thread by the escalation engine
+   * @returns {Promise<Object|null>} Map of user ID to last assignment time, or null without a database
+   */
+  async getLastAssignmentTimes(userIds) {
+    if (!this.isConnected || !this.pool) {
+      return null;
+    }
+
+    try {
+      const query = `
+        SELECT target, MAX(created_at) AS last_assigned_at
+        FROM escalations
+        WHERE action = 'assign' AND success AND target = ANY($1)
+        GROUP BY target
+      `;
+
+      const result = await this.pool.query(query, [userIds]);
+      return Object.fromEntries(result.rows.map(row => [row.target, row.last_assigned_at]));
+    } catch (error) {
+      logger.error('Failed to get last assignment times', {
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Move a thread's SLA deadline (e.g. after an agent changes the band)
+   */
+  async rescheduleSla(threadId, slaDueAt) {
+    if (!this.isConnected || !this.pool) {
+      return false;
+    }
+
+    try {
+      const result = await this.pool.query(`
+        UPDATE ticket_threads SET sla_due_at = $2, updated_at = NOW()
+        WHERE thread_id = $1 AND sla_responded_at IS NULL AND sla_breached_at IS NULL
+      `, [threadId, slaDueAt]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Failed to reschedule SLA', {
+        error: error.message,
+        threadId
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Get threads whose SLA deadline has passed without a response, oldest deadline first
+   */
+  async getOverdueSlaTickets(limit = 50) {
+    if (!this.isConnected || !this.pool) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT * FROM tickets
+        WHERE sla_due_at < NOW() AND sla_responded_at IS NULL AND sla_breached_at IS NULL
+        ORDER BY sla_due_at ASC
         LIMIT $1
       `;
 
       const result = await this.pool.query(query, [limit]);
-      
-      // Log the retrieval for debugging
-      logger.debug('Retrieved recent tickets for context', {
-        requestedLimit: limit,
-        actualCount: result.rows.length,
-        hasValidData: result.rows.length > 0
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get overdue SLA tickets', {
+        error: error.message
       });
-      
+      return [];
+    }
+  }
+
+  /**
+   * Settle a thread's SLA as responded (agent reply or closed)
+   * Throws on failure so the thread stays overdue and the next check retries it
+   */
+  async settleSla(threadId, { respondedAt }) {
+    if (!this.isConnected || !this.pool) {
+      return false;
+    }
+
+    try {
+      const result = await this.pool.query(`
+        UPDATE ticket_threads SET
+          sla_responded_at = COALESCE(sla_responded_at, $2),
+          updated_at = NOW()
+        WHERE thread_id = $1
+      `, [threadId, respondedAt]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Failed to settle SLA', {
+        error: error.message,
+        threadId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an overdue thread as breached, unless it was settled in the meantime
+   * Only one concurrent check can claim a thread, so a breach is escalated once
+   * @returns {Promise<Date|null>} Breach time if this call claimed it
+   */
+  async claimSlaBreach(threadId) {
+    if (!this.isConnected || !this.pool) {
+      return null;
+    }
+
+    try {
+      const result = await this.pool.query(`
+        UPDATE ticket_threads SET sla_breached_at = NOW(), updated_at = NOW()
+        WHERE thread_id = $1 AND sla_due_at < NOW()
+          AND sla_responded_at IS NULL AND sla_breached_at IS NULL
+        RETURNING sla_breached_at
+      `, [threadId]);
+      return result.rows[0]?.sla_breached_at || null;
+    } catch (error) {
+      logger.error('Failed to claim SLA breach', {
+        error: error.message,
+        threadId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get stored customer signals for any of the given keys
+   * @param {Array<string>} keys - Lowercased customer keys (ID, external ID, email, domain)
+   * @returns {Promise<Array<Object>>} Matching rows
+   */
+  async getCustomerSignals(keys) {
+    if (!this.isConnected || !this.pool || keys.length === 0) {
+      return [];
+    }
+
+    try {
+      const result = await this.pool.query(`
+        SELECT customer_key, vip, mrr_band, open_incidents, recent_tickets
+        FROM customer_signals
+        WHERE customer_key = ANY($1)
+      `, [keys]);
       return result.rows;
     } catch (error) {
-      logger.error('Failed to get recent tickets', {
+      logger.error('Failed to get customer signals', {
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Get the active priority rule set
+   * @returns {Promise<Object|null>} { version, rules } or null
+   */
+  async getActiveRuleSet() {
+    if (!this.isConnected || !this.pool) {
+      return null;
+    }
+
+    try {
+      const result = await this.pool.query(
+        'SELECT version, rules FROM priority_rule_sets WHERE active LIMIT 1'
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to get active rule set', {
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * List stored rule set versions, newest first
+   */
+  async getRuleSets() {
+    if (!this.isConnected || !this.pool) {
+      return [];
+    }
+
+    try {
+      const result = await this.pool.query(
+        'SELECT version, active, created_at FROM priority_rule_sets ORDER BY created_at DESC'
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to list rule sets', {
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Store a rule set version and optionally make it the active one
+   * @param {Object} ruleSet - { version, rules } (already validated)
+   * @param {boolean} activate - Make this the active version
+   */
+  async saveRuleSet({ version, rules }, activate = true) {
+    if (!this.isConnected || !this.pool) {
+      throw new Error('Database not connected');
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`
+        INSERT INTO priority_rule_sets (version, rules)
+        VALUES ($1, $2)
+      `, [version, JSON.stringify(rules)]);
+
+      if (activate) {
+        await client.query('UPDATE priority_rule_sets SET active = false WHERE active');
+        await client.query('UPDATE priority_rule_sets SET active = true WHERE version = $1', [version]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Failed to save rule set', {
+        error: error.message,
+        version
+      });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Make an already stored rule set version the active one
+   * @param {string} version - Rule set version
+   * @returns {Promise<boolean>} True if the version exists
+   */
+  async activateRuleSet(version) {
+    if (!this.isConnected || !this.pool) {
+      throw new Error('Database not connected');
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('UPDATE priority_rule_sets SET active = false WHERE active');
+      const result = await client.query('UPDATE priority_rule_sets SET active = true WHERE version = $1', [version]);
+      await client.query(result.rowCount > 0 ? 'COMMIT' : 'ROLLBACK');
+      return result.rowCount > 0;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Queue a verified webhook event for the worker
+   * @param {Object} job - { eventType, payload, requestId }
+   * @returns {Promise<string|null>} Job ID, or null if it couldn't be queued
+   */
+  async enqueueJob({ eventType, payload, requestId }) {
+    if (!this.isConnected || !this.pool) {
+      return null;
+    }
+
+    try {
+      const result = await this.pool.query(`
+        INSERT INTO webhook_jobs (event_type, payload, request_id)
+        VALUES ($1, $2, $3)
+        RETURNING id
+      `, [eventType, JSON.stringify(payload), requestId]);
+      return String(result.rows[0].id);
+    } catch (error) {
+      logger.error('Failed to enqueue webhook job', {
+        error: error.message,
+        eventType,
+        requestId
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Lock due jobs for processing, oldest first
+   *
+   * Jobs locked longer than lockTimeoutSeconds are treated as abandoned (the
+   * worker died) and picked up again. Each claim counts as an attempt.
+   * @param {number} limit - Most jobs to claim
+   * @param {number} lockTimeoutSeconds - When a lock is considered abandoned
+   * @returns {Promise<Array<Object>>} Claimed jobs
+   */
+  async claimJobs(limit, lockTimeoutSeconds) {
+    if (!this.isConnected || !this.pool) {
+      return [];
+    }
+
+    try {
+      const result = await this.pool.query(`
+        UPDATE webhook_jobs
+        SET locked_at = NOW(), attempts = attempts + 1
+        WHERE id IN (
+          SELECT id FROM webhook_jobs
+          WHERE run_at <= NOW()
+            AND (locked_at IS NULL OR locked_at < NOW() - make_interval(secs => $2))
+          ORDER BY run_at ASC, id ASC
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `, [limit, lockTimeoutSeconds]);
+      return result.rows.sort((a, b) => Number(a.id) - Number(b.id));
+    } catch (error) {
+      logger.error('Failed to claim webhook jobs', {
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Remove a job that was processed
+   */
+  async completeJob(id) {
+    if (!this.isConnected || !this.pool) {
+      return;
+    }
+
+    await this.pool.query('DELETE FROM webhook_jobs WHERE id = $1', [id]);
+  }
+
+  /**
+   * Unlock a failed job and schedule its next attempt
+   */
+  async retryJob(id, errorMessage, runAt) {
+    if (!this.isConnected || !this.pool) {
+      return;
+    }
+
+    await this.pool.query(`
+      UPDATE webhook_jobs
+      SET locked_at = NULL, last_error = $2, run_at = $3
+      WHERE id = $1
+    `, [id, errorMessage, runAt]);
+  }
+
+  /**
+   * Move a job that ran out of attempts to the dead-letter table
+   * @param {Object} job - Job row from claimJobs
+   * @param {string} errorMessage - Error from the last attempt
+   */
+  async deadLetterJob(job, errorMessage) {
+    if (!this.isConnected || !this.pool) {
+      return;
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`
+        INSERT INTO webhook_dead_letters (job_id, event_type, payload, request_id, attempts, last_error, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [job.id, job.event_type, JSON.stringify(job.payload), job.request_id, job.attempts, errorMessage, job.created_at]);
+      await client.query('DELETE FROM webhook_jobs WHERE id = $1', [job.id]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get dead-lettered webhook events, newest first
+   */
+  async getDeadLetters(limit = 50) {
+    if (!this.isConnected || !this.pool) {
+      return [];
+    }
+
+    try {
+      const result = await this.pool.query(`
+        SELECT id, job_id, event_type, request_id, attempts, last_error, created_at, failed_at
+        FROM webhook_dead_letters
+        ORDER BY failed_at DESC
+        LIMIT $1
+      `, [limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get dead letters', {
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Put a dead-lettered event back on the queue with a fresh set of attempts
+   * @param {string} id - Dead letter ID
+   * @returns {Promise<string|null>} New job ID, or null if there is no such dead letter
+   */
+  async requeueDeadLetter(id) {
+    if (!this.isConnected || !this.pool) {
+      throw new Error('Database not connected');
+    }
+
+    // One statement, so the dead letter is only removed if the job is created
+    const result = await this.pool.query(`
+      WITH requeued AS (
+        DELETE FROM webhook_dead_letters WHERE id = $1
+        RETURNING event_type, payload, request_id, created_at
+      )
+      INSERT INTO webhook_jobs (event_type, payload, request_id, created_at)
+      SELECT event_type, payload, request_id, created_at FROM requeued
+      RETURNING id
+    `, [id]);
+    return result.rows[0] ? String(result.rows[0].id) : null;
+  }
+
+  /**
+   * Queue depth: jobs due now, waiting to retry and being processed, plus dead letters
+   */
+  async getQueueStats() {
+    if (!this.isConnected || !this.pool) {
+      return null;
+    }
+
+    const result = await this.pool.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE locked_at IS NULL AND run_at <= NOW())::int AS due,
+        COUNT(*) FILTER (WHERE locked_at IS NULL AND run_at > NOW())::int AS retrying,
+        COUNT(*) FILTER (WHERE locked_at IS NOT NULL)::int AS processing,
+        MIN(created_at) AS oldest_created_at,
+        (SELECT COUNT(*)::int FROM webhook_dead_letters) AS dead_letters
+      FROM webhook_jobs
+    `);
+    return result.rows[0];
+  }
+
+  /**
+   * Record a webhook event as received, unless it already was
+   *
+   * An event that failed is taken up again by its redelivery, under its
+   * original request ID so steps it already attempted are skipped. So is an
+   * event left 'received' for longer than leaseSeconds without a queued job:
+   * whatever was processing it died before recording the outcome.
+   * @param {Object} event - { eventId, eventType, requestId }
+   * @param {number} leaseSeconds - When an unfinished event is considered abandoned
+   * @returns {Promise<Object>} { duplicate: false, requestId } to process it, or { duplicate: true, event }
+   */
+  async receiveEvent({ eventId, eventType, requestId }, leaseSeconds = 600) {
+    if (!this.isConnected || !this.pool) {
+      throw new Error('Database not connected');
+    }
+
+    const claimed = await this.pool.query(`
+      INSERT INTO processed_events (event_id, event_type, request_id)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (event_id) DO UPDATE SET status = 'received', error = NULL, received_at = NOW()
+      WHERE processed_events.status = 'failed'
+        OR (
+          processed_events.status = 'received'
+          AND processed_events.received_at < NOW() - make_interval(secs => $4)
+          AND NOT EXISTS (SELECT 1 FROM webhook_jobs WHERE webhook_jobs.request_id = processed_events.request_id)
+        )
+      RETURNING request_id
+    `, [eventId, eventType, requestId, leaseSeconds]);
+
+    if (claimed.rows.length > 0) {
+      return { duplicate: false, requestId: claimed.rows[0].request_id };
+    }
+
+    const existing = await this.pool.query(`
+      SELECT event_id, event_type, request_id, status, result, received_at, completed_at
+      FROM processed_events
+      WHERE event_id = $1
+    `, [eventId]);
+    return { duplicate: true, event: existing.rows[0] };
+  }
+
+  /**
+   * Record how processing a webhook event ended
+   * @param {string} requestId - Request ID the event was received under
+   * @param {string} status - 'done' or 'failed'
+   * @param {Object} outcome - { result, error }
+   */
+  async finishEvent(requestId, status, { result = null, error = null } = {}) {
+    if (!this.isConnected || !this.pool) {
+      return;
+    }
+
+    await this.pool.query(`
+      UPDATE processed_events
+      SET status = $2, result = $3, error = $4, completed_at = NOW()
+      WHERE request_id = $1
+    `, [requestId, status, result === null ? null : JSON.stringify(result), error]);
+  }
+
+  /**
+   * Claim a processing step of a webhook event
+   * @param {string} requestId - Request ID the event was received under
+   * @param {string} step - Step name
+   * @returns {Promise<Object>} { tracked, claimed, step } where step is the earlier entry if not claimed
+   */
+  async claimEventStep(requestId, step) {
+    if (!this.isConnected || !this.pool) {
+      return { tracked: false, claimed: false, step: null };
+    }
+
+    const claimed = await this.pool.query(`
+      UPDATE processed_events
+      SET steps = steps || jsonb_build_object($2::text, '{"done": false}'::jsonb)
+      WHERE request_id = $1 AND NOT steps ? $2
+      RETURNING request_id
+    `, [requestId, step]);
+
+    if (claimed.rows.length > 0) {
+      return { tracked: true, claimed: true, step: null };
+    }
+
+    const existing = await this.getEventStep(requestId, step);
+    return { ...existing, claimed: false };
+  }
+
+  /**
+   * Get a processing step of a webhook event
+   * @returns {Promise<Object>} { tracked, step } where step is { done, value, error } or null
+   */
+  async getEventStep(requestId, step) {
+    if (!this.isConnected || !this.pool) {
+      return { tracked: false, step: null };
+    }
+
+    const result = await this.pool.query(`
+      SELECT steps -> $2 AS step FROM processed_events WHERE request_id = $1
+    `, [requestId, step]);
+    return result.rows.length > 0
+      ? { tracked: true, step: result.rows[0].step }
+      : { tracked: false, step: null };
+  }
+
+  /**
+   * Store the outcome of a processing step of a webhook event
+   * @param {string} requestId - Request ID the event was received under
+   * @param {string} step - Step name
+   * @param {Object} entry - { done, value, error }
+   */
+  async saveEventStep(requestId, step, entry) {
+    if (!this.isConnected || !this.pool) {
+      return;
+    }
+
+    await this.pool.query(`
+      UPDATE processed_events
+      SET steps = jsonb_set(steps, ARRAY[$2::text], $3::jsonb)
+      WHERE request_id = $1
+    `, [requestId, step, JSON.stringify(entry)]);
+  }
+
+  /**
+   * Get the full classification history for a thread, oldest first
+   */
+  async getClassificationEvents(threadId) {
+    if (!this.isConnected || !this.pool) {
+      return [];
+    }
+
+    try {
+      const query = `
+        SELECT * FROM classification_events 
+        WHERE thread_id = $1
+        ORDER BY revision ASC
+      `;
+
+      const result = await this.pool.query(query, [threadId]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get classification events', {
+        error: error.message,
+        threadId
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Get a ticket by thread ID
+   */
+  async getTicket(threadId) {
+    if (!this.isConnected || !this.pool) {
+      return null;
+    }
+
+    try {
+      const query = `
+        SELECT * FROM tickets 
+        WHERE thread_id = $1
+      `;
+
+      const result = await this.pool.query(query, [threadId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to get ticket from database', {
+        error: error.message,
+        threadId
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get recent tickets with statistics
+   */
+  async getRecentTickets(limit = 50, excludeThreadIds = []) {
+    if (!this.isConnected || !this.pool) {
+      return null;
+    }
+
+    try {
+      const query = `
+        SELECT 
+          thread_id,
+          message_id,
+          first_message,
+          priority_band,
+          priority_score,
+          reasoning,
+          override_band,
+          processed_at,
+          created_at,
+          updated_at
+        FROM tickets 
+        WHERE first_message IS NOT NULL
+        AND priority_score IS NOT NULL
+        AND priority_band IS NOT NULL
+        AND NOT (thread_id = ANY($2))
+        ORDER BY processed_at DESC
+        LIMIT $1
+      `;
+
+      const result = await this.pool.query(query, [limit, excludeThreadIds]);
+      
+      // Log the retrieval for debugging
+      logger.debug('Retrieved recent tickets for context', {
+        requestedLimit: limit,
+        actualCount: result.rows.length,
+        hasValidData: result.rows.length > 0
+      });
+      
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get recent tickets', {
+        error: error.message,
+        limit
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get tickets for few-shot examples, balanced across priority bands
+   * Tickets whose band an agent confirmed or corrected are preferred over
+   * the classifier's own outputs within each band
+   */
+  async getLabeledTickets(perBand = 3, excludeThreadIds = []) {
+    if (!this.isConnected || !this.pool) {
+      return null;
+    }
+
+    try {
+      const query = `
+        SELECT 
+          thread_id,
+          first_message,
+          priority_band,
+          priority_score,
+          reasoning,
+          override_band,
+          override_at,
+          processed_at,
+          effective_band
+        FROM (
+          SELECT 
+            *,
+            COALESCE(override_band, priority_band) AS effective_band,
+            ROW_NUMBER() OVER (
+              PARTITION BY COALESCE(override_band, priority_band)
+              ORDER BY (override_band IS NOT NULL) DESC, COALESCE(override_at, processed_at) DESC
+            ) AS band_rank
+          FROM tickets
+          WHERE first_message IS NOT NULL
+          AND priority_score IS NOT NULL
+          AND priority_band IS NOT NULL
+          AND NOT (thread_id = ANY($2))
+        ) ranked
+        WHERE band_rank <= $1
+        ORDER BY effective_band, band_rank
+      `;
+
+      const result = await this.pool.query(query, [perBand, excludeThreadIds]);
+
+      logger.debug('Retrieved labeled tickets for context', {
+        perBand,
+        actualCount: result.rows.length,
+        humanLabeled: result.rows.filter(row => row.override_band).length
+      });
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get labeled tickets', {
+        error: error.message,
+        perBand
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get a labeled dataset for offline evaluation
+   * Agent overrides are the label; unreviewed tickets can use the stored band
+   */
+  async getEvaluationDataset({ limit = 1000, includeUnreviewed = false } = {}) {
+    if (!this.isConnected || !this.pool) {
+      return null;
+    }
+
+    try {
+      const query = `
+        SELECT 
+          thread_id,
+          first_message,
+          priority_band,
+          override_band,
+          COALESCE(override_band, priority_band) AS expected_band
+        FROM tickets 
+        WHERE first_message IS NOT NULL
+        AND ${includeUnreviewed ? 'priority_band IS NOT NULL' : 'override_band IS NOT NULL'}
+        ORDER BY created_at DESC
+        LIMIT $1
+      `;
+
+      const result = await this.pool.query(query, [limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get evaluation dataset', {
         error: error.message,
         limit
       });
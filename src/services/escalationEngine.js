@@ -0,0 +1,233 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const database = require('./database');
+const plainApiClient = require('./plainApiClient');
+const priorityRuleSet = require('./priorityRuleSet');
+const { createNotifier } = require('./notifiers');
+
+/**
+ * Escalation Engine
+ *
+ * Runs after a priority label is applied and follows the band's
+ * escalationRules: autoAssign assigns the thread to the on-call user (or the
+ * next user in a round-robin pool), notifyManagement sends a notification
+ * through the configured notifier. Every action is recorded in `escalations`.
+ */
+class EscalationEngine {
+  constructor() {
+    this.settings = config.escalation || {};
+    this.notifier = this.createNotifier();
+    this.roundRobinIndex = 0; // Used when there is no database to look up past assignments
+  }
+
+  /**
+   * Create the management notifier from configuration
+   * @returns {Object|null} Notifier or null if not configured
+   */
+  createNotifier() {
+    try {
+      const notifier = createNotifier(this.settings.notifier);
+      if (notifier && !notifier.isAvailable()) {
+        logger.warn('Escalation notifier is missing its destination, notifications disabled', {
+          notifier: notifier.name
+        });
+        return null;
+      }
+      return notifier;
+    } catch (error) {
+      logger.warn('Unknown escalation notifier configured, notifications disabled', {
+        notifier: this.settings.notifier
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Build a link to the thread in Plain
+   * @param {string} threadId - Plain thread ID
+   * @returns {string|null} Thread URL or null without a workspace ID
+   */
+  buildThreadUrl(threadId) {
+    if (!config.plainWorkspaceId) return null;
+    return `https://app.plain.com/workspace/${config.plainWorkspaceId}/thread/${threadId}`;
+  }
+
+  /**
+   * Pick who to assign an escalated thread to
+   * @returns {Promise<string|null>} Plain user ID
+   */
+  async pickAssignee() {
+    if (this.settings.onCallUserId) {
+      return this.settings.onCallUserId;
+    }
+
+    const pool = this.settings.assigneePool || [];
+    if (pool.length === 0) return null;
+
+    // Round-robin: the user assigned least recently (or never) goes next
+    const lastAssigned = await database.getLastAssignmentTimes(pool);
+    if (lastAssigned) {
+      return pool.reduce((next, userId) => {
+        const nextTime = lastAssigned[next] ? new Date(lastAssigned[next]).getTime() : 0;
+        const userTime = lastAssigned[userId] ? new Date(lastAssigned[userId]).getTime() : 0;
+        return userTime < nextTime ? userId : next;
+      });
+    }
+
+    const userId = pool[this.roundRobinIndex % pool.length];
+    this.roundRobinIndex++;
+    return userId;
+  }
+
+  /**
+   * Assign a thread unless someone already owns it
+   * @param {string} threadId - Plain thread ID
+   * @param {string} band - Priority band
+   * @param {string} reason - What triggered the escalation
+   * @param {string} requestId - Request ID for tracking
+   * @returns {Promise<string|null>} Assigned user ID
+   */
+  async assign(threadId, band, reason, requestId) {
+    const thread = await plainApiClient.getThread(threadId);
+    if (thread.assignedTo) {
+      logger.info('Thread already assigned, skipping auto-assign', {
+        requestId,
+        threadId,
+        assignedTo: thread.assignedTo.id || thread.assignedTo.__typename
+      });
+      return null;
+    }
+
+    const userId = await this.pickAssignee();
+    if (!userId) {
+      logger.warn('Auto-assign enabled but no on-call user or assignee pool configured', {
+        requestId,
+        threadId,
+        band
+      });
+      return null;
+    }
+
+    try {
+      await plainApiClient.assignThread(threadId, userId);
+      await database.saveEscalation({ threadId, priorityBand: band, reason, action: 'assign', target: userId, success: true });
+      return userId;
+    } catch (error) {
+      await database.saveEscalation({
+        threadId, priorityBand: band, reason, action: 'assign', target: userId, success: false, error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a management notification
+   * @param {Object} notification - { type, title, summary, threadId, priorityBand, priorityScore, details }
+   * @param {string} requestId - Request ID for tracking
+   * @returns {Promise<boolean>} True if sent
+   */
+  async notify(notification, requestId) {
+    if (!this.notifier) {
+      logger.debug('No escalation notifier configured, skipping notification', {
+        requestId,
+        threadId: notification.threadId
+      });
+      return false;
+    }
+
+    const payload = {
+      ...notification,
+      threadUrl: notification.threadUrl || this.buildThreadUrl(notification.threadId),
+      sentAt: new Date().toISOString()
+    };
+
+    try {
+      await this.notifier.notify(payload);
+      await database.saveEscalation({
+        threadId: notification.threadId,
+        priorityBand: notification.priorityBand,
+        reason: notification.type,
+        action: 'notify',
+        target: this.notifier.name,
+        success: true
+      });
+      return true;
+    } catch (error) {
+      logger.error('Failed to send escalation notification', {
+        requestId,
+        threadId: notification.threadId,
+        notifier: this.notifier.name,
+        error: error.message
+      });
+      await database.saveEscalation({
+        threadId: notification.threadId,
+        priorityBand: notification.priorityBand,
+        reason: notification.type,
+        action: 'notify',
+        target: this.notifier.name,
+        success: false,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Apply the band's escalation rules to a newly labeled thread
+   * @param {Object} thread - Thread data from Plain
+   * @param {Object} classification - ClassificationResult that was applied
+   * @param {string} requestId - Request ID for tracking
+   * @returns {Promise<Object>} { assignedTo, notified }
+   */
+  async escalate(thread, classification, requestId) {
+    const band = classification.priorityBand;
+    const rules = priorityRuleSet.getRules()[band]?.escalationRules || {};
+    const result = { assignedTo: null, notified: false };
+
+    if (config.shadowMode || (!rules.autoAssign && !rules.notifyManagement)) {
+      return result;
+    }
+
+    if (rules.autoAssign) {
+      try {
+        result.assignedTo = await this.assign(thread.id, band, 'classification', requestId);
+      } catch (error) {
+        logger.error('Auto-assign failed', {
+          requestId,
+          threadId: thread.id,
+          band,
+          error: error.message
+        });
+      }
+    }
+
+    if (rules.notifyManagement) {
+      result.notified = await this.notify({
+        type: 'classification',
+        title: `New ${band} ticket`,
+        summary: thread.title || classification.reasoning,
+        threadId: thread.id,
+        priorityBand: band,
+        priorityScore: classification.priorityScore,
+        details: {
+          Reasoning: classification.reasoning,
+          Method: classification.method,
+          Tier: thread.tier?.name,
+          'Assigned to': result.assignedTo
+        }
+      }, requestId);
+    }
+
+    logger.info('Escalation rules applied', {
+      requestId,
+      threadId: thread.id,
+      band,
+      ...result
+    });
+
+    return result;
+  }
+}
+
+// Export singleton instance
+module.exports = new EscalationEngine();
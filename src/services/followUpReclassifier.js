@@ -0,0 +1,217 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const database = require('./database');
+const plainApiClient = require('./plainApiClient');
+const priorityClassifier = require('./hybridPriorityClassifier');
+const confidencePolicy = require('./confidencePolicy');
+const reviewQueue = require('./reviewQueue');
+const classificationNotes = require('./classificationNotes');
+const priorityLabeler = require('./priorityLabeler');
+const escalationEngine = require('./escalationEngine');
+const slaTracker = require('./slaTracker');
+const priorityRuleSet = require('./priorityRuleSet');
+
+const BAND_ORDER = ['P0', 'P1', 'P2', 'P3']; // Most to least severe
+
+/**
+ * Follow-up Reclassifier
+ *
+ * Re-scores the whole conversation when a customer follows up on a thread
+ * that was already classified ("now it's down for everyone"). By default the
+ * band is only ever raised. Every re-classification is appended as a new
+ * classification event so the original classification is never lost.
+ */
+class FollowUpReclassifier {
+  constructor() {
+    this.policy = config.followUpPolicy || 'escalate'; // 'off', 'escalate' or 'any'
+  }
+
+  /**
+   * Check whether follow-up messages should be re-classified
+   * @returns {boolean} True if enabled
+   */
+  isEnabled() {
+    return this.policy === 'escalate' || this.policy === 'any';
+  }
+
+  /**
+   * Decide whether a new band should replace the current one under the policy
+   * @param {string} currentBand - Band currently on the ticket
+   * @param {string} newBand - Band from re-classification
+   * @returns {boolean} True if the ticket should move to the new band
+   */
+  shouldChangeBand(currentBand, newBand) {
+    if (!newBand || newBand === currentBand) return false;
+    if (this.policy === 'any') return true;
+
+    const currentIndex = BAND_ORDER.indexOf(currentBand);
+    const newIndex = BAND_ORDER.indexOf(newBand);
+    return currentIndex === -1 || newIndex < currentIndex;
+  }
+
+  /**
+   * Build the full customer conversation for re-scoring
+   * @param {Object} thread - Thread data from Plain
+   * @param {Object} ticket - Stored ticket row
+   * @param {string} messageContent - The follow-up message
+   * @returns {Promise<string>} Conversation text
+   */
+  async buildConversation(thread, ticket, messageContent) {
+    const customerId = thread.customer?.id;
+
+    if (customerId) {
+      try {
+        const messages = await plainApiClient.getThreadMessages(thread.id, customerId);
+        if (messages.length > 0) {
+          // The triggering message may not be in the timeline yet
+          if (messageContent && !messages.includes(messageContent)) {
+            messages.push(messageContent);
+          }
+          return messages.join('\n\n');
+        }
+      } catch (error) {
+        logger.warn('Could not fetch thread messages, using stored conversation', {
+          threadId: thread.id,
+          error: error.message
+        });
+      }
+    }
+
+    // Fall back to the first message plus earlier follow-ups we recorded
+    const events = await database.getClassificationEvents(thread.id);
+    const followUps = events
+      .filter(event => event.trigger === 'follow_up' && event.message)
+      .map(event => event.message);
+
+    return [ticket.first_message, ...followUps, messageContent]
+      .filter(text => text && text.trim())
+      .join('\n\n');
+  }
+
+  /**
+   * Re-classify a thread after a follow-up message
+   * @param {Object} thread - Thread data from Plain
+   * @param {string} messageContent - The follow-up message
+   * @param {string} requestId - Request ID for tracking
+   * @returns {Promise<Object|null>} Re-classification summary or null if skipped
+   */
+  async reclassify(thread, messageContent, requestId) {
+    if (!this.isEnabled()) {
+      logger.debug('Follow-up re-classification disabled', { requestId, threadId: thread.id });
+      return null;
+    }
+
+    const ticket = await database.getTicket(thread.id);
+    if (!ticket) {
+      logger.info('Follow-up on a thread with no stored classification, skipping', {
+        requestId,
+        threadId: thread.id
+      });
+      return null;
+    }
+
+    // An agent has already chosen a priority, don't second-guess them
+    if (ticket.override_band) {
+      logger.info('Follow-up on a thread with a manual priority, skipping', {
+        requestId,
+        threadId: thread.id,
+        overrideBand: ticket.override_band
+      });
+      return null;
+    }
+
+    const conversation = await this.buildConversation(thread, ticket, messageContent);
+    const classifyStart = Date.now();
+    const classification = await priorityClassifier.classifyThread({
+      ...thread,
+      allMessageContent: conversation,
+      firstMessage: {
+        textContent: conversation
+      }
+    });
+    const latencyMs = Date.now() - classifyStart;
+
+    const currentBand = ticket.priority_band;
+    const changeBand = this.shouldChangeBand(currentBand, classification.priorityBand);
+    const confident = confidencePolicy.shouldAutoApply(classification);
+    const shouldApply = changeBand && confident;
+    let outcome = 'not_applied';
+
+    if (shouldApply && config.shadowMode) {
+      outcome = 'shadow';
+    } else if (shouldApply) {
+      try {
+        const labelResult = await priorityLabeler.applyPriority(thread.id, classification.priorityBand, requestId);
+        outcome = labelResult.applied ? 'applied' : 'manual_priority';
+        if (labelResult.applied) {
+          await classificationNotes.postAppliedNote(thread, classification, requestId);
+          await escalationEngine.escalate(thread, classification, requestId);
+        }
+      } catch (error) {
+        outcome = 'label_failed';
+        logger.error('Failed to apply escalated priority label', {
+          requestId,
+          threadId: thread.id,
+          priorityBand: classification.priorityBand,
+          error: error.message
+        });
+      }
+    } else if (changeBand) {
+      // The band would change but we're not sure enough: let an agent decide
+      outcome = 'low_confidence';
+      await reviewQueue.flagForReview(thread.id, classification, requestId);
+    }
+
+    // Only a band that reached Plain (or would have, in shadow mode) becomes current and moves the SLA
+    const accepted = outcome === 'applied' || outcome === 'shadow';
+
+    // Always append: rejected re-classifications stay in the history but don't become current
+    await database.saveTicket({
+      threadId: thread.id,
+      messageId: ticket.message_id,
+      firstMessage: ticket.first_message,
+      priorityScore: classification.priorityScore,
+      priorityBand: classification.priorityBand,
+      reasoning: classification.reasoning,
+      trigger: 'follow_up',
+      message: messageContent,
+      classifier: classification.method || classification.classifier,
+      model: classification.modelUsed || null,
+      promptVersion: classification.promptVersion || null,
+      confidence: classification.confidence,
+      impactScope: classification.impactScope,
+      productArea: classification.productArea,
+      sentiment: classification.sentiment,
+      latencyMs,
+      outcome,
+      previousBand: currentBand,
+      shadowMode: config.shadowMode,
+      wouldApplyBand: outcome === 'shadow' ? classification.priorityBand : null,
+      accepted,
+      slaDueAt: slaTracker.dueAtForThread(thread, classification.priorityBand, ticket.created_at),
+      rulesVersion: classification.rulesVersion || priorityRuleSet.getVersion()
+    });
+
+    logger.info('Follow-up re-classification completed', {
+      requestId,
+      threadId: thread.id,
+      policy: this.policy,
+      previousBand: currentBand,
+      newBand: classification.priorityBand,
+      bandChanged: accepted,
+      outcome,
+      confidence: classification.confidence
+    });
+
+    return {
+      threadId: thread.id,
+      previousBand: currentBand,
+      newBand: classification.priorityBand,
+      accepted,
+      outcome
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new FollowUpReclassifier();
@@ -2,6 +2,10 @@ const logger = require('../utils/logger');
 const config = require('../config/config');
 const rulesClassifier = require('./priorityClassifier');
 const aiClassifier = require('./aiPriorityClassifier');
+const database = require('./database');
+const customerTiers = require('./customerTiers');
+const priorityRuleSet = require('./priorityRuleSet');
+const { createClassificationResult } = require('../utils/classificationResult');
 
 /**
  * Hybrid Priority Classifier
@@ -82,7 +86,7 @@ class HybridPriorityClassifier {
   /**
    * Main classification method
    * @param {Object} thread - Thread data from Plain
-   * @returns {Promise<Object>} Classification result
+   * @returns {Promise<Object>} ClassificationResult with hybrid metadata
    */
   async classifyThread(thread) {
     const startTime = Date.now();
@@ -93,6 +97,11 @@ class HybridPriorityClassifier {
         configuredType: this.classifierType
       });
 
+      // Pick up changed rules and resolve the tier up front: escalation, the SLA deadline
+      // and the recorded rules version depend on them whichever classifier runs
+      await priorityRuleSet.refresh();
+      await customerTiers.resolve(thread);
+
       const strategy = this.determineClassifierStrategy(thread);
       let result;
       let fallbackUsed = false;
@@ -134,6 +143,7 @@ class HybridPriorityClassifier {
       // Enhance result with hybrid metadata
       const enhancedResult = {
         ...result,
+        rulesVersion: result.rulesVersion || priorityRuleSet.getVersion(),
         hybridStrategy: strategy,
         fallbackUsed,
         totalProcessingTime: duration,
@@ -162,11 +172,16 @@ class HybridPriorityClassifier {
 
       // Last resort: return default classification
       return {
-        priorityScore: 500,
-        priorityBand: 'P2',
-        reasoning: `Classification failed: ${error.message}`,
-        confidence: 'none',
-        method: 'error-fallback',
+        ...createClassificationResult({
+          priorityScore: 500,
+          priorityBand: 'P2',
+          reasoning: `Classification failed: ${error.message}`,
+          confidence: 0,
+          method: 'error-fallback',
+          signals: {
+            error: error.message
+          }
+        }),
         classifier: 'hybrid',
         error: error.message,
         totalProcessingTime: duration
@@ -211,14 +226,7 @@ class HybridPriorityClassifier {
 
       // Calculate agreement metrics
       if (aiResult.status === 'fulfilled' && rulesResult.status === 'fulfilled') {
-        const aiScore = aiResult.value.priorityScore;
-        const rulesScore = rulesResult.value.priorityScore;
-        const aiBand = aiResult.value.priorityBand;
-        const rulesBand = rulesResult.value.priorityBand;
-
-        comparison.scoreDifference = Math.abs(aiScore - rulesScore);
-        comparison.bandAgreement = aiBand === rulesBand;
-        comparison.agreement = comparison.bandAgreement && comparison.scoreDifference <= 100;
+        Object.assign(comparison, this.calculateAgreement(aiResult.value, rulesResult.value));
       }
 
       logger.info('Classifier comparison completed', {
@@ -239,20 +247,40 @@ class HybridPriorityClassifier {
     }
   }
 
+  /**
+   * Calculate agreement metrics between two classification results
+   * @param {Object} resultA - First classification result
+   * @param {Object} resultB - Second classification result
+   * @returns {Object} bandAgreement, scoreDifference and overall agreement
+   */
+  calculateAgreement(resultA, resultB) {
+    const bandAgreement = resultA.priorityBand === resultB.priorityBand;
+    const scoreDifference = Math.abs(resultA.priorityScore - resultB.priorityScore);
+
+    return {
+      bandAgreement,
+      scoreDifference,
+      agreement: bandAgreement && scoreDifference <= 100
+    };
+  }
+
   /**
    * Get classification statistics and performance metrics
    * @returns {Promise<Object>} Performance statistics
    */
   async getPerformanceStats() {
     try {
-      const [aiStats, dbStats] = await Promise.allSettled([
+      const [aiStats, dbStats, comparisonStats] = await Promise.allSettled([
         aiClassifier.getClassificationStats(),
         // Could add timing stats, accuracy metrics, etc.
+        Promise.resolve(null),
+        database.getComparisonStats(7)
       ]);
 
       return {
         ai: aiStats.status === 'fulfilled' ? aiStats.value : null,
         database: dbStats.status === 'fulfilled' ? dbStats.value : null,
+        challenger: comparisonStats.status === 'fulfilled' ? comparisonStats.value : null,
         config: {
           classifierType: this.classifierType,
           aiAvailable: aiClassifier.isAvailable(),
@@ -277,7 +305,8 @@ class HybridPriorityClassifier {
       classifiers: {
         ai: {
           available: aiClassifier.isAvailable(),
-          configured: !!config.claudeApiKey || !!config.openaiApiKey
+          configured: !!config.claudeApiKey || !!config.openaiApiKey,
+          provider: config.aiProvider
         },
         rules: {
           available: true,
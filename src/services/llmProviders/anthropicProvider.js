@@ -0,0 +1,144 @@
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+/**
+ * Anthropic Messages API provider
+ */
+class AnthropicProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Anthropic API key
+   * @param {string} options.baseUrl - API base URL
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor({ apiKey, baseUrl = 'https://api.anthropic.com/v1', timeout = 30000 } = {}) {
+    this.name = 'anthropic';
+    this.apiKey = apiKey;
+    this.defaultModel = 'claude-3-5-sonnet-20241022';
+
+    this.client = axios.create({
+      baseURL: baseUrl,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      timeout
+    });
+
+    // Add request/response interceptors for logging
+    this.client.interceptors.request.use(
+      (config) => {
+        logger.debug('Claude API request', {
+          method: config.method,
+          url: config.url,
+          hasKey: !!config.headers['x-api-key']
+        });
+        return config;
+      },
+      (error) => {
+        logger.error('Claude API request error', { error: error.message });
+        return Promise.reject(error);
+      }
+    );
+
+    this.client.interceptors.response.use(
+      (response) => {
+        logger.debug('Claude API response', {
+          status: response.status,
+          usage: response.data.usage
+        });
+        return response;
+      },
+      (error) => {
+        logger.error('Claude API response error', {
+          status: error.response?.status,
+          message: error.message,
+          data: error.response?.data
+        });
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  /**
+   * Check if the provider is configured
+   * @returns {boolean} True if an API key is set
+   */
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Generate a completion for a single user prompt
+   * @param {Object} request
+   * @param {string} request.prompt - User prompt
+   * @param {string} request.model - Model name
+   * @param {number} request.maxTokens - Maximum output tokens
+   * @param {number} request.temperature - Sampling temperature
+   * @returns {Promise<{text: string, usage: Object}>} Completion text and token usage
+   */
+  async complete({ prompt, model, maxTokens = 300, temperature = 0.1 }) {
+    const response = await this.client.post('/messages', {
+      model: model || this.defaultModel,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    });
+
+    const textBlock = response.data.content.find(block => block.type === 'text') || response.data.content[0];
+
+    return {
+      text: textBlock?.text || '',
+      usage: response.data.usage
+    };
+  }
+
+  /**
+   * Generate a completion constrained to a JSON schema using forced tool use
+   * @param {Object} request
+   * @param {string} request.prompt - User prompt
+   * @param {string} request.model - Model name
+   * @param {number} request.maxTokens - Maximum output tokens
+   * @param {number} request.temperature - Sampling temperature
+   * @param {Object} request.schema - { name, description, jsonSchema }
+   * @returns {Promise<{data: Object|null, text: string, usage: Object}>} Tool input, raw text and token usage
+   */
+  async completeStructured({ prompt, model, maxTokens = 500, temperature = 0.1, schema }) {
+    const response = await this.client.post('/messages', {
+      model: model || this.defaultModel,
+      max_tokens: maxTokens,
+      temperature,
+      tools: [
+        {
+          name: schema.name,
+          description: schema.description,
+          input_schema: schema.jsonSchema
+        }
+      ],
+      tool_choice: { type: 'tool', name: schema.name },
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    });
+
+    const toolBlock = response.data.content.find(block => block.type === 'tool_use' && block.name === schema.name);
+    const textBlock = response.data.content.find(block => block.type === 'text');
+
+    return {
+      data: toolBlock?.input || null,
+      text: toolBlock ? JSON.stringify(toolBlock.input) : (textBlock?.text || ''),
+      usage: response.data.usage
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
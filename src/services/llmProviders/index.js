@@ -0,0 +1,52 @@
+const config = require('../../config/config');
+const AnthropicProvider = require('./anthropicProvider');
+const OpenAIProvider = require('./openaiProvider');
+const MockProvider = require('./mockProvider');
+
+/**
+ * Create an LLM provider by name
+ * @param {string} name - 'anthropic', 'openai' or 'mock'
+ * @returns {Object} Provider with isAvailable(), complete({ prompt, model, maxTokens, temperature })
+ *   and completeStructured({ ..., schema })
+ */
+function createProvider(name = config.aiProvider) {
+  switch (name) {
+    case 'anthropic':
+      return new AnthropicProvider({ apiKey: config.claudeApiKey });
+    case 'openai':
+      return new OpenAIProvider({ apiKey: config.openaiApiKey, baseUrl: config.openaiBaseUrl });
+    case 'mock':
+      return new MockProvider();
+    default:
+      throw new Error(`Unknown AI provider: ${name}`);
+  }
+}
+
+/**
+ * Create the embedding function used to rank similar tickets
+ * @param {string|null} name - 'openai', or empty for none
+ * @param {string} model - Embedding model, or the provider's default
+ * @returns {Function|null} async (texts: string[]) => number[][], or null if none is configured
+ */
+function createEmbeddingFunction(name = config.aiEmbeddingProvider, model = config.aiEmbeddingModel) {
+  if (!name) return null;
+
+  // Anthropic has no embeddings API, so only OpenAI-compatible servers are supported
+  if (name !== 'openai') {
+    throw new Error(`Unknown embedding provider: ${name}`);
+  }
+
+  const provider = createProvider(name);
+  if (!provider.isAvailable()) {
+    throw new Error(`Embedding provider ${name} is not configured`);
+  }
+  return texts => provider.embed(texts, { model });
+}
+
+module.exports = {
+  createProvider,
+  createEmbeddingFunction,
+  AnthropicProvider,
+  OpenAIProvider,
+  MockProvider
+};
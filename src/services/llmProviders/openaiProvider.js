@@ -0,0 +1,153 @@
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+/**
+ * OpenAI-compatible Chat Completions provider
+ *
+ * Works with OpenAI and any server exposing the same /chat/completions API
+ * (Azure OpenAI proxies, vLLM, Ollama, etc.) via a custom base URL.
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - API key sent as a Bearer token
+   * @param {string} options.baseUrl - API base URL
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor({ apiKey, baseUrl = 'https://api.openai.com/v1', timeout = 30000 } = {}) {
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.defaultModel = 'gpt-4o-mini';
+    this.defaultEmbeddingModel = 'text-embedding-3-small';
+
+    this.client = axios.create({
+      baseURL: baseUrl,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      timeout
+    });
+
+    this.client.interceptors.response.use(
+      (response) => {
+        logger.debug('OpenAI API response', {
+          status: response.status,
+          usage: response.data.usage
+        });
+        return response;
+      },
+      (error) => {
+        logger.error('OpenAI API response error', {
+          status: error.response?.status,
+          message: error.message,
+          data: error.response?.data
+        });
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  /**
+   * Check if the provider is configured
+   * @returns {boolean} True if an API key is set
+   */
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Generate a completion for a single user prompt
+   * @param {Object} request
+   * @param {string} request.prompt - User prompt
+   * @param {string} request.model - Model name
+   * @param {number} request.maxTokens - Maximum output tokens
+   * @param {number} request.temperature - Sampling temperature
+   * @returns {Promise<{text: string, usage: Object}>} Completion text and token usage
+   */
+  async complete({ prompt, model, maxTokens = 300, temperature = 0.1 }) {
+    const response = await this.client.post('/chat/completions', {
+      model: model || this.defaultModel,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    });
+
+    return {
+      text: response.data.choices?.[0]?.message?.content || '',
+      usage: response.data.usage
+    };
+  }
+
+  /**
+   * Generate a JSON completion using JSON mode
+   *
+   * JSON mode (rather than strict json_schema) is used because it is the
+   * widest-supported option across OpenAI-compatible servers; the schema is
+   * included in the prompt and the caller validates the result.
+   * @param {Object} request
+   * @param {string} request.prompt - User prompt
+   * @param {string} request.model - Model name
+   * @param {number} request.maxTokens - Maximum output tokens
+   * @param {number} request.temperature - Sampling temperature
+   * @param {Object} request.schema - { name, description, jsonSchema }
+   * @returns {Promise<{data: Object|null, text: string, usage: Object}>} Parsed JSON, raw text and token usage
+   */
+  async completeStructured({ prompt, model, maxTokens = 500, temperature = 0.1, schema }) {
+    const response = await this.client.post('/chat/completions', {
+      model: model || this.defaultModel,
+      max_tokens: maxTokens,
+      temperature,
+      response_format: { type: 'json_object' },
+      messages: [
+        {
+          role: 'system',
+          content: `${schema.description}. Respond with a single JSON object matching this JSON Schema:\n${JSON.stringify(schema.jsonSchema)}`
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    });
+
+    const text = response.data.choices?.[0]?.message?.content || '';
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      // Left to the caller's validation and repair step
+    }
+
+    return {
+      data,
+      text,
+      usage: response.data.usage
+    };
+  }
+
+  /**
+   * Embed texts with the /embeddings API
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options
+   * @param {string} options.model - Embedding model name
+   * @returns {Promise<Array<Array<number>>>} One vector per text, in order
+   */
+  async embed(texts, { model } = {}) {
+    const response = await this.client.post('/embeddings', {
+      model: model || this.defaultEmbeddingModel,
+      input: texts
+    });
+
+    return [...response.data.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,114 @@
+const logger = require('../utils/logger');
+const migrations = require('../migrations');
+
+// Arbitrary key for pg_advisory_lock so concurrent cold starts don't migrate twice
+const MIGRATION_LOCK_KEY = 7300451;
+
+/**
+ * Migration Runner
+ *
+ * Records applied schema versions in a schema_migrations table and applies
+ * pending migrations in order, each inside its own transaction.
+ */
+class MigrationRunner {
+  constructor(migrationList = migrations) {
+    this.migrations = [...migrationList].sort((a, b) => a.version.localeCompare(b.version));
+  }
+
+  /**
+   * Create the migrations table if needed
+   * @param {Object} client - pg client
+   */
+  async ensureMigrationsTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version text PRIMARY KEY,
+        name text NOT NULL,
+        applied_at timestamp with time zone DEFAULT now()
+      )
+    `);
+  }
+
+  /**
+   * Get versions that have already been applied
+   * @param {Object} client - pg client
+   * @returns {Promise<Set<string>>} Applied versions
+   */
+  async getAppliedVersions(client) {
+    const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+    return new Set(result.rows.map(row => row.version));
+  }
+
+  /**
+   * List every known migration with whether it has been applied
+   * @param {Object} pool - pg pool
+   * @returns {Promise<Array<Object>>} Migration status rows
+   */
+  async status(pool) {
+    const client = await pool.connect();
+    try {
+      await this.ensureMigrationsTable(client);
+      const applied = await this.getAppliedVersions(client);
+      return this.migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        applied: applied.has(migration.version)
+      }));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Apply all pending migrations in order
+   * @param {Object} pool - pg pool
+   * @returns {Promise<Array<string>>} Versions applied by this run
+   */
+  async migrate(pool) {
+    const client = await pool.connect();
+    const appliedNow = [];
+
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+      await this.ensureMigrationsTable(client);
+      const applied = await this.getAppliedVersions(client);
+
+      for (const migration of this.migrations) {
+        if (applied.has(migration.version)) continue;
+
+        logger.info('Applying database migration', {
+          version: migration.version,
+          name: migration.name
+        });
+
+        try {
+          await client.query('BEGIN');
+          await client.query(migration.up);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+            [migration.version, migration.name]
+          );
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+        }
+
+        appliedNow.push(migration.version);
+      }
+
+      return appliedNow;
+    } finally {
+      try {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+      } catch (unlockError) {
+        // Lock is released with the session anyway
+      }
+      client.release();
+    }
+  }
+}
+
+// Export singleton instance (the class is exposed for custom migration lists)
+module.exports = new MigrationRunner();
+module.exports.MigrationRunner = MigrationRunner;
@@ -0,0 +1,54 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Email notifier stand-in
+ *
+ * Builds the email a mail integration would send and writes it to the log.
+ * Swap notify() for a real mail transport when one is available.
+ */
+class EmailNotifier {
+  /**
+   * @param {Object} options
+   * @param {string} options.to - Comma separated recipient addresses
+   */
+  constructor({ to } = {}) {
+    this.name = 'email';
+    this.to = to;
+  }
+
+  /**
+   * Check if the notifier is configured
+   * @returns {boolean} True if recipients are set
+   */
+  isAvailable() {
+    return !!this.to;
+  }
+
+  /**
+   * Build the email for a notification
+   * @param {Object} notification - Notification to format
+   * @returns {{to: string, subject: string, body: string}} Email
+   */
+  formatEmail(notification) {
+    const detailLines = Object.entries(notification.details || {})
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `${key}: ${value}`);
+
+    return {
+      to: this.to,
+      subject: `[${notification.priorityBand}] ${notification.title}: ${notification.threadId}`,
+      body: [notification.summary, '', ...detailLines, '', notification.threadUrl || ''].join('\n').trim()
+    };
+  }
+
+  /**
+   * "Send" a notification by logging the email
+   * @param {Object} notification - Notification to send
+   * @returns {Promise<void>}
+   */
+  async notify(notification) {
+    logger.info('Email notification (stand-in, not sent)', this.formatEmail(notification));
+  }
+}
+
+module.exports = EmailNotifier;
@@ -0,0 +1,33 @@
+const config = require('../../config/config');
+const WebhookNotifier = require('./webhookNotifier');
+const SlackNotifier = require('./slackNotifier');
+const EmailNotifier = require('./emailNotifier');
+
+/**
+ * Create a management notifier by name
+ * @param {string} name - 'webhook', 'slack' or 'email'
+ * @returns {Object|null} Notifier with isAvailable() and notify(notification), or null if none is configured
+ */
+function createNotifier(name = config.escalation.notifier) {
+  switch (name) {
+    case 'webhook':
+      return new WebhookNotifier({ url: config.escalation.notifierUrl });
+    case 'slack':
+      return new SlackNotifier({ url: config.escalation.notifierUrl });
+    case 'email':
+      return new EmailNotifier({ to: config.escalation.notifierEmail });
+    case null:
+    case undefined:
+    case '':
+      return null;
+    default:
+      throw new Error(`Unknown notifier: ${name}`);
+  }
+}
+
+module.exports = {
+  createNotifier,
+  WebhookNotifier,
+  SlackNotifier,
+  EmailNotifier
+};
@@ -0,0 +1,63 @@
+const axios = require('axios');
+
+/**
+ * Slack-compatible notifier: posts a text + blocks payload to an incoming webhook URL
+ * (also accepted by Mattermost, Rocket.Chat and similar tools)
+ */
+class SlackNotifier {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Incoming webhook URL
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor({ url, timeout = 10000 } = {}) {
+    this.name = 'slack';
+    this.url = url;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Check if the notifier is configured
+   * @returns {boolean} True if a URL is set
+   */
+  isAvailable() {
+    return !!this.url;
+  }
+
+  /**
+   * Build the Slack message payload
+   * @param {Object} notification - Notification to format
+   * @returns {Object} Slack payload
+   */
+  formatPayload(notification) {
+    const threadLink = notification.threadUrl
+      ? `<${notification.threadUrl}|${notification.threadId}>`
+      : notification.threadId;
+
+    const fields = Object.entries(notification.details || {})
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => ({ type: 'mrkdwn', text: `*${key}*\n${value}` }));
+
+    return {
+      text: `${notification.title}: ${notification.threadId}`,
+      blocks: [
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text: `*${notification.title}* (${notification.priorityBand})\n${notification.summary}\nThread: ${threadLink}` }
+        },
+        ...(fields.length > 0 ? [{ type: 'section', fields: fields.slice(0, 10) }] : [])
+      ]
+    };
+  }
+
+  /**
+   * Send a notification
+   * @param {Object} notification - Notification to send
+   * @returns {Promise<void>}
+   */
+  async notify(notification) {
+    await axios.post(this.url, this.formatPayload(notification), { timeout: this.timeout });
+  }
+}
+
+module.exports = SlackNotifier;
@@ -0,0 +1,36 @@
+const axios = require('axios');
+
+/**
+ * Generic webhook notifier: POSTs the notification as JSON
+ */
+class WebhookNotifier {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Endpoint receiving the notification
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor({ url, timeout = 10000 } = {}) {
+    this.name = 'webhook';
+    this.url = url;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Check if the notifier is configured
+   * @returns {boolean} True if a URL is set
+   */
+  isAvailable() {
+    return !!this.url;
+  }
+
+  /**
+   * Send a notification
+   * @param {Object} notification - { type, title, summary, threadId, threadUrl, priorityBand, priorityScore, details }
+   * @returns {Promise<void>}
+   */
+  async notify(notification) {
+    await axios.post(this.url, notification, { timeout: this.timeout });
+  }
+}
+
+module.exports = WebhookNotifier;
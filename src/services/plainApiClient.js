@@ -124,34 +124,9 @@ class PlainApiClient {
       labelTypeId
     });
 
-    const mutation = `
-      mutation AddLabels($input: AddLabelsInput!) {
-        addLabels(input: $input) {
-          error {
-            message
-            type
-            code
-          }
-        }
-      }
-    `;
-
-    const variables = {
-      input: {
-        threadId,
-        labelTypeIds: [labelTypeId]
-      }
-    };
-
     try {
-      const data = await this.executeGraphQL(mutation, variables, 'AddLabels');
-      
-      // Check if there's an error in the response
-      if (data.addLabels.error) {
-        throw new Error(`Failed to add label: ${data.addLabels.error.message}`);
-      }
+      await this.addLabels(threadId, [labelTypeId]);
 
-      // If no error, the label was added successfully
       logger.info('Successfully added priority label', {
         threadId,
         priority,
@@ -171,20 +146,15 @@ class PlainApiClient {
   }
 
   /**
-   * Remove a priority label from a thread
+   * Add labels of the given types to a thread
    * @param {string} threadId - Plain thread ID
-   * @param {string} labelId - Specific label ID to remove
-   * @returns {Promise<Object>} Updated thread data
+   * @param {Array<string>} labelTypeIds - Label type IDs to add
+   * @returns {Promise<Object>} Success result
    */
-  async removePriorityLabel(threadId, labelId) {
-    logger.info('Removing priority label from thread', {
-      threadId,
-      labelId
-    });
-
+  async addLabels(threadId, labelTypeIds) {
     const mutation = `
-      mutation RemoveLabels($input: RemoveLabelsInput!) {
-        removeLabels(input: $input) {
+      mutation AddLabels($input: AddLabelsInput!) {
+        addLabels(input: $input) {
           error {
             message
             type
@@ -197,19 +167,35 @@ class PlainApiClient {
     const variables = {
       input: {
         threadId,
-        labelIds: [labelId]
+        labelTypeIds
       }
     };
 
+    const data = await this.executeGraphQL(mutation, variables, 'AddLabels');
+
+    // Check if there's an error in the response
+    if (data.addLabels.error) {
+      throw new Error(`Failed to add label: ${data.addLabels.error.message}`);
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Remove a priority label from a thread
+   * @param {string} threadId - Plain thread ID
+   * @param {string} labelId - Specific label ID to remove
+   * @returns {Promise<Object>} Updated thread data
+   */
+  async removePriorityLabel(threadId, labelId) {
+    logger.info('Removing priority label from thread', {
+      threadId,
+      labelId
+    });
+
     try {
-      const data = await this.executeGraphQL(mutation, variables, 'RemoveLabels');
-      
-      // Check if there's an error in the response
-      if (data.removeLabels.error) {
-        throw new Error(`Failed to remove label: ${data.removeLabels.error.message}`);
-      }
+      await this.removeLabels(threadId, [labelId]);
 
-      // If no error, the label was removed successfully
       logger.info('Successfully removed priority label', {
         threadId,
         labelId
@@ -226,6 +212,42 @@ class PlainApiClient {
     }
   }
 
+  /**
+   * Remove labels from a thread
+   * @param {string} threadId - Plain thread ID
+   * @param {Array<string>} labelIds - Label IDs (not label type IDs) to remove
+   * @returns {Promise<Object>} Success result
+   */
+  async removeLabels(threadId, labelIds) {
+    const mutation = `
+      mutation RemoveLabels($input: RemoveLabelsInput!) {
+        removeLabels(input: $input) {
+          error {
+            message
+            type
+            code
+          }
+        }
+      }
+    `;
+
+    const variables = {
+      input: {
+        threadId,
+        labelIds
+      }
+    };
+
+    const data = await this.executeGraphQL(mutation, variables, 'RemoveLabels');
+
+    // Check if there's an error in the response
+    if (data.removeLabels.error) {
+      throw new Error(`Failed to remove label: ${data.removeLabels.error.message}`);
+    }
+
+    return { success: true };
+  }
+
   /**
    * Get thread details including current labels
    * @param {string} threadId - Plain thread ID
@@ -250,6 +272,13 @@ class PlainApiClient {
           }
           status
           priority
+          channel
+          assignedTo {
+            __typename
+            ... on User {
+              id
+            }
+          }
           customer {
             id
             email {
@@ -265,6 +294,15 @@ class PlainApiClient {
               name
               icon
             }
+            createdBy {
+              __typename
+              ... on UserActor {
+                userId
+              }
+              ... on MachineUserActor {
+                machineUserId
+              }
+            }
           }
         }
       }
@@ -313,6 +351,114 @@ class PlainApiClient {
     }
   }
 
+  /**
+   * Get a thread's status and first agent response (for SLA tracking)
+   * @param {string} threadId - Plain thread ID
+   * @returns {Promise<Object>} { id, status, createdAt, firstOutboundMessageInfo }
+   */
+  async getThreadResponseInfo(threadId) {
+    const query = `
+      query GetThreadResponseInfo($threadId: ID!) {
+        thread(threadId: $threadId) {
+          id
+          status
+          createdAt {
+            iso8601
+          }
+          firstOutboundMessageInfo {
+            timestamp {
+              iso8601
+            }
+          }
+        }
+      }
+    `;
+
+    try {
+      const data = await this.executeGraphQL(query, { threadId }, 'GetThreadResponseInfo');
+
+      if (!data.thread) {
+        throw new Error(`Thread not found: ${threadId}`);
+      }
+
+      return data.thread;
+    } catch (error) {
+      logger.error('Failed to fetch thread response info', {
+        threadId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the customer's messages on a thread, oldest first
+   * @param {string} threadId - Plain thread ID
+   * @param {string} customerId - Plain customer ID
+   * @param {number} first - Maximum number of timeline entries to fetch
+   * @returns {Promise<Array<string>>} Message texts
+   */
+  async getThreadMessages(threadId, customerId, first = 50) {
+    logger.debug('Fetching thread messages', { threadId, customerId });
+
+    const query = `
+      query GetThreadMessages($customerId: ID!, $threadId: ID, $first: Int) {
+        timelineEntries(customerId: $customerId, threadId: $threadId, first: $first) {
+          edges {
+            node {
+              id
+              timestamp {
+                iso8601
+              }
+              actor {
+                __typename
+              }
+              entry {
+                __typename
+                ... on EmailEntry {
+                  subject
+                  textContent
+                }
+                ... on ChatEntry {
+                  chatText: text
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const variables = { customerId, threadId, first };
+
+    try {
+      const data = await this.executeGraphQL(query, variables, 'GetThreadMessages');
+      const edges = data.timelineEntries?.edges || [];
+
+      const messages = edges
+        .map(edge => edge.node)
+        .filter(node => node.actor?.__typename === 'CustomerActor')
+        .sort((a, b) => new Date(a.timestamp?.iso8601) - new Date(b.timestamp?.iso8601))
+        .map(node => node.entry?.textContent || node.entry?.chatText || node.entry?.subject || '')
+        .filter(text => text.trim());
+
+      logger.debug('Successfully fetched thread messages', {
+        threadId,
+        entryCount: edges.length,
+        messageCount: messages.length
+      });
+
+      return messages;
+    } catch (error) {
+      logger.error('Failed to fetch thread messages', {
+        threadId,
+        customerId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get customer details
    * @param {string} customerId - Plain customer ID
@@ -325,17 +471,31 @@ class PlainApiClient {
       query GetCustomer($customerId: ID!) {
         customer(customerId: $customerId) {
           id
-          email
+          email {
+            email
+          }
           fullName
           externalId
           updatedAt {
             iso8601
           }
-          customerGroupMemberships {
-            customerGroup {
-              id
+          company {
+            id
+            name
+            domainName
+            tier {
               name
-              key
+            }
+          }
+          customerGroupMemberships {
+            edges {
+              node {
+                customerGroup {
+                  id
+                  name
+                  key
+                }
+              }
             }
           }
         }
@@ -353,8 +513,9 @@ class PlainApiClient {
 
       logger.debug('Successfully fetched customer', {
         customerId,
-        email: data.customer.email,
-        fullName: data.customer.fullName
+        email: data.customer.email?.email,
+        fullName: data.customer.fullName,
+        companyName: data.customer.company?.name
       });
 
       return data.customer;
@@ -371,7 +532,7 @@ class PlainApiClient {
    * Create a thread event for audit logging
    * @param {string} threadId - Plain thread ID
    * @param {string} title - Event title
-   * @param {Object} components - Event content components
+   * @param {Array<Object>} components - Event content components (Plain ComponentInput)
    * @returns {Promise<Object>} Created event data
    */
   async createThreadEvent(threadId, title, components) {
@@ -381,33 +542,46 @@ class PlainApiClient {
     });
 
     const mutation = `
-      mutation CreateThreadEvent($threadId: ID!, $title: String!, $components: [ComponentInput!]!) {
-        createThreadEvent(threadId: $threadId, title: $title, components: $components) {
-          id
-          title
-          createdAt {
-            iso8601
+      mutation CreateThreadEvent($input: CreateThreadEventInput!) {
+        createThreadEvent(input: $input) {
+          threadEvent {
+            id
+            title
+            createdAt {
+              iso8601
+            }
+          }
+          error {
+            message
+            type
+            code
           }
         }
       }
     `;
 
     const variables = {
-      threadId,
-      title,
-      components
+      input: {
+        threadId,
+        title,
+        components
+      }
     };
 
     try {
       const data = await this.executeGraphQL(mutation, variables, 'CreateThreadEvent');
 
+      if (data.createThreadEvent.error) {
+        throw new Error(`Failed to create thread event: ${data.createThreadEvent.error.message}`);
+      }
+
       logger.info('Successfully created thread event', {
         threadId,
-        eventId: data.createThreadEvent.id,
+        eventId: data.createThreadEvent.threadEvent?.id,
         title
       });
 
-      return data.createThreadEvent;
+      return data.createThreadEvent.threadEvent;
     } catch (error) {
       logger.error('Failed to create thread event', {
         threadId,
@@ -431,33 +605,48 @@ class PlainApiClient {
     });
 
     const mutation = `
-      mutation AssignThread($threadId: ID!, $userId: ID!) {
-        assignThread(threadId: $threadId, userId: $userId) {
-          id
-          assignedTo {
+      mutation AssignThread($input: AssignThreadInput!) {
+        assignThread(input: $input) {
+          thread {
             id
-            fullName
-            email
+            assignedTo {
+              __typename
+              ... on User {
+                id
+                fullName
+              }
+            }
+          }
+          error {
+            message
+            type
+            code
           }
         }
       }
     `;
 
     const variables = {
-      threadId,
-      userId
+      input: {
+        threadId,
+        userId
+      }
     };
 
     try {
       const data = await this.executeGraphQL(mutation, variables, 'AssignThread');
 
+      if (data.assignThread.error) {
+        throw new Error(`Failed to assign thread: ${data.assignThread.error.message}`);
+      }
+
       logger.info('Successfully assigned thread', {
         threadId,
         userId,
-        assignedToName: data.assignThread.assignedTo?.fullName
+        assignedToName: data.assignThread.thread?.assignedTo?.fullName
       });
 
-      return data.assignThread;
+      return data.assignThread.thread;
     } catch (error) {
       logger.error('Failed to assign thread', {
         threadId,
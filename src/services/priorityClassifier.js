@@ -1,5 +1,10 @@
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const { scoreForBand, createClassificationResult } = require('../utils/classificationResult');
+const businessHours = require('./businessHours');
+const priorityRuleSet = require('./priorityRuleSet');
+const customerTiers = require('./customerTiers');
+const customerSignals = require('./customerSignals');
 
 /**
  * Priority Classification Service
@@ -8,14 +13,10 @@ const config = require('../config/config');
  * with optional AI enhancement for ticket prioritization.
  */
 class PriorityClassifier {
-  constructor() {
-    this.rules = config.priorityRules;
-  }
-
   /**
    * Classify a thread's priority based on content and metadata
    * @param {Object} thread - The Plain thread object
-   * @returns {Object} Classification result with priority level and confidence
+   * @returns {Object} ClassificationResult
    */
   async classifyThread(thread) {
     logger.debug('Starting thread classification', {
@@ -24,6 +25,10 @@ class PriorityClassifier {
     });
 
     try {
+      // Pick up edited rules and look up the customer's tier if the thread has none
+      await priorityRuleSet.refresh();
+      await customerTiers.resolve(thread);
+
       // Extract thread content and metadata
       const threadData = this.extractThreadData(thread);
       
@@ -48,7 +53,8 @@ class PriorityClassifier {
         aiScore: aiResult?.confidence || null
       });
 
-      return finalResult;
+      // Boost strategic accounts according to the customer signals policy
+      return customerSignals.applyPolicy(this.toClassificationResult(finalResult), thread);
 
     } catch (error) {
       logger.error('Error during thread classification', {
@@ -58,15 +64,48 @@ class PriorityClassifier {
       });
 
       // Return default classification on error
-      return {
-        priority: 'P2',
+      return createClassificationResult({
+        priorityBand: 'P2',
+        priorityScore: scoreForBand('P2', 0.1),
         confidence: 0.1,
+        reasoning: `Rules classification failed: ${error.message}`,
         method: 'fallback',
+        signals: {
+          error: error.message
+        },
         error: error.message
-      };
+      });
     }
   }
 
+  /**
+   * Convert the internal rules/combined result to a ClassificationResult
+   * @param {Object} result - Result from combineClassifications
+   * @returns {Object} ClassificationResult
+   */
+  toClassificationResult(result) {
+    const band = result.priority;
+    const rulesResult = result.rulesResult;
+    const matches = rulesResult.matches[band] || [];
+
+    return createClassificationResult({
+      priorityBand: band,
+      priorityScore: scoreForBand(band, result.confidence),
+      confidence: result.confidence,
+      reasoning: matches.length > 0
+        ? `Rules matched for ${band}: ${matches.join('; ')}`
+        : `No rules matched, defaulted to ${band}`,
+      method: result.method,
+      rulesVersion: rulesResult.rulesVersion,
+      signals: {
+        bandScores: rulesResult.scores,
+        matches: rulesResult.matches,
+        matchedRules: rulesResult.matchedRules,
+        ...rulesResult.details
+      }
+    });
+  }
+
   /**
    * Extract relevant data from thread for classification
    * @param {Object} thread - The Plain thread object
@@ -101,9 +140,9 @@ class PriorityClassifier {
     const customer = thread.customer || {};
     const customerTier = this.determineCustomerTier(customer, thread);
 
-    // Calculate timing metrics
+    // Calculate timing metrics (working hours on the tier's business calendar)
     const createdAt = new Date(thread.createdAt?.iso8601 || Date.now());
-    const hoursSinceCreated = (Date.now() - createdAt.getTime()) / (1000 * 60 * 60);
+    const hoursSinceCreated = businessHours.hoursSince(createdAt, customerTier);
 
     return {
       threadId: thread.id,
@@ -113,6 +152,7 @@ class PriorityClassifier {
         id: customer.id,
         email: customer.email,
         tier: customerTier,
+        domain: this.getCustomerDomain(customer),
         fullName: customer.fullName
       },
       timing: {
@@ -122,6 +162,7 @@ class PriorityClassifier {
       metadata: {
         hasAttachments: false, // TODO: Check for attachments
         isFollowUp: thread.isFollowUp || false,
+        channel: thread.channel ? String(thread.channel).toLowerCase() : null,
         priority: thread.priority // Current priority if any
       }
     };
@@ -152,47 +193,33 @@ class PriorityClassifier {
   }
 
   /**
-   * Determine customer tier based on thread tier data
+   * Get the domain of a customer's email address
+   * @param {Object} customer - Customer object
+   * @returns {string|null} Lowercased domain
+   */
+  getCustomerDomain(customer) {
+    const email = customer?.email?.email || customer?.email;
+    if (typeof email !== 'string' || !email.includes('@')) return null;
+    return email.split('@').pop().toLowerCase();
+  }
+
+  /**
+   * Determine customer tier through the tier mapping table
    * @param {Object} customer - Customer object
    * @param {Object} thread - Thread object containing tier information
    * @returns {string} Customer tier
    */
   determineCustomerTier(customer, thread) {
-    // Use thread.tier.name if available (simplest approach)
-    if (thread?.tier?.name) {
-      const tierName = thread.tier.name.toLowerCase();
-      
-      logger.debug('Using thread tier for customer classification', {
-        customerId: customer?.id,
-        threadId: thread?.id,
-        tierName: thread.tier.name,
-        email: customer?.email?.email || customer?.email
-      });
-
-      // Map Plain tier names to our internal tier system
-      // if (tierName.includes('enterprise') || tierName.includes('premium')) {
-      //   return 'enterprise';
-      // }
-      // if (tierName.includes('pro') || tierName.includes('professional')) {
-      //   return 'pro';
-      // }
-      // if (tierName.includes('hobby') || tierName.includes('personal')) {
-      //   return 'hobby';
-      // }
-      // if (tierName.includes('trial') || tierName.includes('free')) {
-      //   return 'trialing';
-      // }
-      // Return the tier name as-is if it doesn't match our patterns
-      return tierName;
-    }
+    const tier = customerTiers.tierFor({ ...thread, customer: customer || thread?.customer });
 
-    // Fallback to default if no tier information
-    logger.debug('No thread tier available, using default', {
+    logger.debug('Determined customer tier', {
       customerId: customer?.id,
-      threadId: thread?.id
+      threadId: thread?.id,
+      tierName: thread?.tier?.name,
+      tier
     });
-    
-    return 'hobby';
+
+    return tier;
   }
 
   /**
@@ -208,22 +235,44 @@ class PriorityClassifier {
       P3: 0
     };
 
+    const matchesByBand = {};
+    const matchedRules = [];
+    let contentMatched = false; // Any keyword or named rule fired, in any band
     const content = threadData.content;
     const customerTier = threadData.customer.tier;
+    const rulesVersion = priorityRuleSet.getVersion();
+    const compiledRules = priorityRuleSet.getCompiledRules();
+    const context = {
+      content,
+      tier: customerTier,
+      channel: threadData.metadata.channel,
+      domain: threadData.customer.domain,
+      hoursOld: threadData.timing.hoursSinceCreated
+    };
 
     // Evaluate each priority level
-    for (const [priority, rules] of Object.entries(this.rules)) {
+    for (const [priority, rules] of Object.entries(priorityRuleSet.getRules())) {
       let score = 0;
       let matches = [];
 
-      // Keyword matching
-      const keywordMatches = rules.keywords.filter(keyword => 
-        content.includes(keyword.toLowerCase())
-      );
+      // Keyword matching (whole words, negated mentions like "no error" don't count)
+      const keywordMatches = compiledRules[priority].keywords.filter(keyword => keyword.test(content));
       
       if (keywordMatches.length > 0) {
-        score += 0.5 + (keywordMatches.length * 0.1);
-        matches.push(`keywords: ${keywordMatches.join(', ')}`);
+        contentMatched = true;
+        score += 0.5 + keywordMatches.reduce((sum, keyword) => sum + keyword.weight, 0);
+        matches.push(`keywords: ${keywordMatches.map(keyword => keyword.phrase).join(', ')}`);
+      }
+
+      // Named matchers: patterns plus tier, channel, domain and age conditions
+      for (const matcher of compiledRules[priority].matchers) {
+        const evidence = matcher.test(context);
+        if (!evidence) continue;
+
+        contentMatched = true;
+        score += matcher.weight;
+        matches.push(`rule ${matcher.name}: ${evidence}`);
+        matchedRules.push({ band: priority, rule: matcher.name, weight: matcher.weight, evidence });
       }
 
       // Customer tier matching
@@ -241,7 +290,8 @@ class PriorityClassifier {
         matches.push(`overdue: ${hoursOld.toFixed(1)}h > ${responseThresholdHours}h`);
       }
 
-      scores[priority] = Math.min(score, 1.0); // Cap at 1.0
+      scores[priority] = Math.max(0, Math.min(score, 1.0)); // Negative matcher weights can pull a band down, cap at 1.0
+      matchesByBand[priority] = matches;
 
       if (matches.length > 0) {
         logger.debug(`Rules evaluation for ${priority}`, {
@@ -253,15 +303,21 @@ class PriorityClassifier {
       }
     }
 
-    // Find the highest scoring priority
+    // Find the highest scoring priority; ties go to the least severe band. Without a keyword
+    // or rule match, tier and age points alone don't pick a band and the ticket stays P2
     const maxScore = Math.max(...Object.values(scores));
-    const winningPriority = Object.keys(scores).find(p => scores[p] === maxScore);
+    const winningPriority = contentMatched
+      ? Object.keys(scores).reverse().find(p => scores[p] === maxScore)
+      : 'P2';
 
     return {
-      priority: winningPriority || 'P2',
-      confidence: maxScore,
+      priority: winningPriority,
+      confidence: contentMatched ? maxScore : scores.P2,
       method: 'rules',
+      rulesVersion,
       scores,
+      matches: matchesByBand,
+      matchedRules,
       details: {
         contentLength: threadData.content.length,
         customerTier: threadData.customer.tier,
@@ -0,0 +1,141 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const database = require('./database');
+
+/**
+ * Priority Feedback Service
+ *
+ * Turns manual priority label changes from thread.labels_changed events
+ * into labeled feedback stored next to the original classification.
+ */
+class PriorityFeedbackService {
+  constructor() {
+    // Actor types of an agent: webhook payloads give actorType, GraphQL queries __typename
+    this.agentActorTypes = ['user', 'UserActor'];
+  }
+
+  /**
+   * Get priority band from a Plain label
+   * @param {Object} label - Plain label object
+   * @returns {string|null} Priority band (P0, P1, P2, P3) or null
+   */
+  getBandForLabel(label) {
+    const labelTypeId = label?.labelType?.id;
+    if (!labelTypeId) return null;
+
+    for (const [band, id] of Object.entries(config.priorityLabels)) {
+      if (id && id === labelTypeId) {
+        return band;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a label was set by an agent, from a webhook payload or a GraphQL query
+   * @param {Object} label - Plain label object
+   * @returns {boolean|null} True for an agent, false for anyone else, null without actor data
+   */
+  isAgentChange(label) {
+    const actor = label?.createdBy || label?.updatedBy;
+    const actorType = actor?.actorType || actor?.__typename;
+    if (!actorType) return null;
+    return this.agentActorTypes.includes(actorType);
+  }
+
+  /**
+   * Check whether a label change was made by automation (including this service)
+   * @param {Object} label - Plain label object
+   * @returns {boolean} True if the change is known not to be an agent's
+   */
+  isAutomatedChange(label) {
+    return this.isAgentChange(label) === false;
+  }
+
+  /**
+   * Get the ID of the actor that made a label change
+   * @param {Object} label - Plain label object
+   * @returns {string|null} Actor ID
+   */
+  getActorId(label) {
+    const actor = label?.createdBy || label?.updatedBy;
+    if (!actor) return null;
+    return actor.userId || actor.machineUserId || actor.customerId || actor.actorType || null;
+  }
+
+  /**
+   * Record a manual priority override from a labels changed payload
+   * @param {Object} payload - thread.labels_changed webhook payload
+   * @param {string} requestId - Request ID for tracking
+   * @returns {Promise<Object|null>} The override, or null if the label change is not one
+   */
+  async recordManualOverride(payload, requestId) {
+    const thread = payload.thread;
+    const addedLabels = payload.addedLabels || [];
+    const removedLabels = payload.removedLabels || [];
+
+    const addedPriority = addedLabels.find(label => this.getBandForLabel(label));
+    const removedPriority = removedLabels.find(label => this.getBandForLabel(label));
+
+    // Only an added priority label tells us which band the agent chose
+    if (!addedPriority) {
+      return null;
+    }
+
+    if (this.isAutomatedChange(addedPriority)) {
+      logger.debug('Priority label added by automation, not recording as override', {
+        requestId,
+        threadId: thread.id,
+        actorType: addedPriority.createdBy?.actorType
+      });
+      return null;
+    }
+
+    const newBand = this.getBandForLabel(addedPriority);
+    let previousBand = removedPriority ? this.getBandForLabel(removedPriority) : null;
+
+    // Fall back to the band we labeled if the agent didn't remove a label
+    // (in shadow mode no label was written, so there is nothing to fall back to)
+    if (!previousBand) {
+      const ticket = await database.getTicket(thread.id);
+      previousBand = ticket && !ticket.shadow_mode ? ticket.priority_band : null;
+    }
+
+    // Re-adding the band the ticket already had doesn't change its priority
+    if (previousBand === newBand) {
+      logger.debug('Priority label re-added with the same band, not recording as override', {
+        requestId,
+        threadId: thread.id,
+        band: newBand
+      });
+      return null;
+    }
+
+    const override = {
+      threadId: thread.id,
+      previousBand,
+      newBand,
+      changedBy: this.getActorId(addedPriority),
+      changedAt: addedPriority.createdAt?.iso8601 || new Date().toISOString()
+    };
+
+    const ticketId = await database.recordPriorityOverride(override);
+
+    if (ticketId) {
+      logger.info('Manual priority override recorded', {
+        requestId,
+        ...override
+      });
+    } else {
+      logger.warn('Manual priority override not recorded', {
+        requestId,
+        ...override
+      });
+    }
+
+    return override;
+  }
+}
+
+// Export singleton instance
+module.exports = new PriorityFeedbackService();
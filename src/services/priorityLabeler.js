@@ -0,0 +1,113 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const database = require('./database');
+const plainApiClient = require('./plainApiClient');
+const priorityFeedback = require('./priorityFeedback');
+
+const BAND_ORDER = ['P0', 'P1', 'P2', 'P3']; // Most to least severe
+
+/**
+ * Priority Labeler
+ *
+ * Keeps exactly one priority label on a thread. Reads the current labels,
+ * adds the new band and removes any other priority labels. Priority labels
+ * set by an agent are handled according to the manual priority policy:
+ *
+ * - respect (default): never replace an agent's priority
+ * - escalate: only replace it with a more urgent band
+ * - replace: always replace it
+ */
+class PriorityLabeler {
+  constructor() {
+    this.policy = config.manualPriorityPolicy || 'respect';
+  }
+
+  /**
+   * Check whether a label was added by an agent rather than automation
+   * @param {Object} label - Plain label from getThread
+   * @param {Object|null} ticket - Stored ticket row
+   * @returns {boolean} True if an agent set this label
+   */
+  isManualLabel(label, ticket) {
+    const agentChange = priorityFeedback.isAgentChange(label);
+    if (agentChange !== null) {
+      return agentChange;
+    }
+    // Without actor data, fall back to the override we recorded from labels_changed
+    return !!ticket?.override_band && priorityFeedback.getBandForLabel(label) === ticket.override_band;
+  }
+
+  /**
+   * Decide whether the policy allows replacing an agent's priority
+   * @param {Array<string>} manualBands - Bands set by agents
+   * @param {string} newBand - Band we want to apply
+   * @returns {boolean} True if the new band may replace them
+   */
+  mayReplaceManual(manualBands, newBand) {
+    if (this.policy === 'replace') return true;
+    if (this.policy === 'escalate') {
+      const newIndex = BAND_ORDER.indexOf(newBand);
+      return manualBands.every(band => newIndex < BAND_ORDER.indexOf(band));
+    }
+    return false;
+  }
+
+  /**
+   * Make the given band the thread's only priority label
+   * @param {string} threadId - Plain thread ID
+   * @param {string} band - Priority band to apply
+   * @param {string} requestId - Request ID for tracking
+   * @returns {Promise<Object>} { applied, manualBand, removedBands }
+   */
+  async applyPriority(threadId, band, requestId) {
+    const [thread, ticket] = await Promise.all([
+      plainApiClient.getThread(threadId),
+      database.getTicket(threadId)
+    ]);
+
+    const priorityLabels = (thread.labels || [])
+      .map(label => ({ label, band: priorityFeedback.getBandForLabel(label) }))
+      .filter(entry => entry.band);
+
+    const manualBands = priorityLabels
+      .filter(entry => this.isManualLabel(entry.label, ticket))
+      .map(entry => entry.band);
+
+    if (manualBands.length > 0 && !manualBands.includes(band) && !this.mayReplaceManual(manualBands, band)) {
+      logger.info('Thread has a manual priority, not relabeling', {
+        requestId,
+        threadId,
+        policy: this.policy,
+        manualBands,
+        suggestedBand: band
+      });
+      return { applied: false, manualBand: manualBands[0], removedBands: [] };
+    }
+
+    if (!priorityLabels.some(entry => entry.band === band)) {
+      await plainApiClient.addPriorityLabel(threadId, band);
+    }
+
+    // Add before removing so the thread is never left without a priority
+    const staleLabels = priorityLabels.filter(entry => entry.band !== band);
+    if (staleLabels.length > 0) {
+      await plainApiClient.removeLabels(threadId, staleLabels.map(entry => entry.label.id));
+
+      logger.info('Removed other priority labels', {
+        requestId,
+        threadId,
+        band,
+        removedBands: staleLabels.map(entry => entry.band)
+      });
+    }
+
+    return {
+      applied: true,
+      manualBand: null,
+      removedBands: staleLabels.map(entry => entry.band)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new PriorityLabeler();
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const database = require('./database');
+const { validateRuleSet, parseRuleSet } = require('../utils/ruleSetSchema');
+const { compileRules } = require('../utils/ruleMatchers');
+
+const BUILTIN_VERSION = 'builtin';
+
+/**
+ * Priority Rule Set
+ *
+ * Holds the priority rules currently in use and their version. Rules come
+ * from config.priorityRules, a JSON/YAML file or the active version in
+ * `priority_rule_sets`, and are re-checked at most every
+ * reloadIntervalSeconds so changes apply without a restart. A rule set that
+ * fails validation is logged and the previous one stays in use.
+ */
+class PriorityRuleSet {
+  constructor() {
+    this.settings = config.rules || {};
+    this.source = this.settings.source || 'config';
+    this.current = this.validate({ version: BUILTIN_VERSION, rules: config.priorityRules }, 'config');
+    this.fileModifiedAt = null;
+    this.fileHash = null;
+    this.lastCheckedAt = 0;
+
+    if (this.source === 'file') {
+      try {
+        this.loadFile();
+      } catch (error) {
+        logger.error('Failed to load priority rules file, using built-in rules', {
+          file: this.settings.file,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Rules currently in use, by band
+   * @returns {Object} { P0, P1, P2, P3 }
+   */
+  getRules() {
+    return this.current.rules;
+  }
+
+  /**
+   * Compiled keywords and matchers currently in use, by band (see ruleMatchers.js)
+   * @returns {Object} { P0: { keywords, matchers }, ... }
+   */
+  getCompiledRules() {
+    return this.current.compiled;
+  }
+
+  /**
+   * Version of the rules currently in use
+   * @returns {string} Rule set version
+   */
+  getVersion() {
+    return this.current.version;
+  }
+
+  /**
+   * Validate and compile a rule set
+   * @param {Object} ruleSet - { version, rules }
+   * @param {string} source - Where it came from, for the error message
+   * @returns {Object} Normalized rule set with its compiled matchers
+   * @throws {Error} If the rule set is invalid
+   */
+  validate(ruleSet, source) {
+    const { value, error } = validateRuleSet(ruleSet);
+    if (error) {
+      throw new Error(`Invalid priority rules from ${source}: ${error}`);
+    }
+    return { ...value, compiled: compileRules(value.rules) };
+  }
+
+  /**
+   * Switch to a validated rule set
+   * @param {Object} ruleSet - Normalized rule set
+   * @param {string} source - Where it came from
+   */
+  use(ruleSet, source) {
+    const previousVersion = this.current.version;
+    this.current = ruleSet;
+
+    if (ruleSet.version !== previousVersion) {
+      logger.info('Priority rules loaded', {
+        source,
+        version: ruleSet.version,
+        previousVersion
+      });
+    }
+  }
+
+  /**
+   * Load the rules file
+   * @throws {Error} If the file is invalid, or its content changed but its version didn't
+   */
+  loadFile() {
+    const file = path.resolve(this.settings.file || '');
+    const { mtimeMs } = fs.statSync(file);
+    const text = fs.readFileSync(file, 'utf8');
+    const hash = crypto.createHash('sha256').update(text).digest('hex');
+    const ruleSet = this.validate(parseRuleSet(text, file), file);
+
+    // Events are attributed to a version, so a version must always mean the same rules
+    if (this.fileHash && hash !== this.fileHash && ruleSet.version === this.current.version) {
+      throw new Error(`Rules file ${file} changed but its version is still ${ruleSet.version}; bump the version`);
+    }
+
+    this.fileModifiedAt = mtimeMs;
+    this.fileHash = hash;
+    this.use(ruleSet, 'file');
+  }
+
+  /**
+   * Load the active rule set from the database
+   */
+  async loadFromDatabase() {
+    const stored = await database.getActiveRuleSet();
+    if (!stored || stored.version === this.current.version) return;
+
+    this.use(this.validate(stored, `database version ${stored.version}`), 'database');
+  }
+
+  /**
+   * Pick up a changed rule set, at most every reloadIntervalSeconds
+   * @param {Object} options - { force: true } to check right away
+   * @returns {Promise<string>} Version in use afterwards
+   */
+  async refresh({ force = false } = {}) {
+    if (this.source === 'config') return this.current.version;
+
+    const now = Date.now();
+    if (!force && now - this.lastCheckedAt < (this.settings.reloadIntervalSeconds || 0) * 1000) {
+      return this.current.version;
+    }
+    this.lastCheckedAt = now;
+
+    try {
+      if (this.source === 'file') {
+        const { mtimeMs } = fs.statSync(path.resolve(this.settings.file || ''));
+        if (force || mtimeMs !== this.fileModifiedAt) {
+          this.loadFile();
+        }
+      } else if (this.source === 'database') {
+        await this.loadFromDatabase();
+      }
+    } catch (error) {
+      logger.error('Failed to reload priority rules, keeping current version', {
+        source: this.source,
+        version: this.current.version,
+        error: error.message
+      });
+    }
+
+    return this.current.version;
+  }
+}
+
+// Export singleton instance
+module.exports = new PriorityRuleSet();
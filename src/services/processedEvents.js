@@ -0,0 +1,176 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const database = require('./database');
+
+/**
+ * Processed Events
+ *
+ * Makes webhook processing idempotent on Plain's event ID. The first
+ * delivery of an event is recorded in `processed_events`; redeliveries get
+ * a 200 with the earlier result instead of being classified again.
+ *
+ * Processing is split into named steps, recorded on the event, so a retry
+ * (queue backoff, or the redelivery of an event that failed) doesn't repeat
+ * what an earlier attempt did:
+ * - once(): writes to Plain and notifications run at most once. A step that
+ *   was attempted is skipped on retry, even if it failed.
+ * - remember(): classification and our own records are reused once they
+ *   succeeded, and run again if they didn't.
+ *
+ * Events without an ID, or received while the database is down, are
+ * processed without these guarantees.
+ */
+class ProcessedEvents {
+  /**
+   * Record a verified webhook as received
+   * @param {Object} webhookData - Verified webhook body ({ id, payload, ... })
+   * @param {string} requestId - Request ID of this delivery
+   * @returns {Promise<Object>} { duplicate: false, requestId } where requestId is the one to process under,
+   *   or { duplicate: true, event } with the earlier delivery's status and result
+   */
+  async receive(webhookData, requestId) {
+    const eventId = webhookData?.id;
+    const eventType = webhookData?.payload?.eventType;
+
+    if (!eventId || !database.isConnected) {
+      logger.warn('Processing webhook without de-duplication', {
+        requestId,
+        eventType,
+        reason: eventId ? 'database not connected' : 'no event ID'
+      });
+      return { duplicate: false, requestId };
+    }
+
+    try {
+      const receipt = await database.receiveEvent({ eventId, eventType, requestId }, config.webhookEventLeaseSeconds);
+
+      if (receipt.duplicate) {
+        logger.info('Duplicate webhook delivery', {
+          requestId,
+          eventId,
+          eventType,
+          originalRequestId: receipt.event.request_id,
+          status: receipt.event.status
+        });
+      } else if (receipt.requestId !== requestId) {
+        logger.info('Redelivery of a failed or abandoned webhook event, processing again', {
+          requestId,
+          eventId,
+          eventType,
+          originalRequestId: receipt.requestId
+        });
+      }
+
+      return receipt;
+    } catch (error) {
+      logger.error('Failed to record webhook event, processing without de-duplication', {
+        requestId,
+        eventId,
+        error: error.message
+      });
+      return { duplicate: false, requestId };
+    }
+  }
+
+  /**
+   * Record that an event was processed
+   * @param {string} requestId - Request ID the event was received under
+   * @param {Object|null} result - What processing returned, sent back to duplicates
+   */
+  async complete(requestId, result) {
+    try {
+      await database.finishEvent(requestId, 'done', { result: result ?? null });
+    } catch (error) {
+      logger.error('Failed to record processed webhook event', {
+        requestId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Record that processing an event failed for good (its redelivery may take it up again)
+   * @param {string} requestId - Request ID the event was received under
+   * @param {string} errorMessage - Error from the last attempt
+   */
+  async fail(requestId, errorMessage) {
+    try {
+      await database.finishEvent(requestId, 'failed', { error: errorMessage });
+    } catch (error) {
+      logger.error('Failed to record failed webhook event', {
+        requestId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Process an event right away and record the outcome
+   * @param {string} requestId - Request ID the event was received under
+   * @param {Function} fn - Processing, returns the result for duplicates
+   * @returns {Promise<*>} What fn returned
+   */
+  async track(requestId, fn) {
+    let result;
+    try {
+      result = await fn();
+    } catch (error) {
+      await this.fail(requestId, error.message);
+      throw error;
+    }
+    await this.complete(requestId, result);
+    return result;
+  }
+
+  /**
+   * Run a side effect at most once per event
+   * @param {string} requestId - Request ID the event was received under
+   * @param {string} step - Step name, unique within the event
+   * @param {Function} fn - The side effect
+   * @returns {Promise<*>} What fn returned; on retry the earlier return value, or undefined if it failed
+   */
+  async once(requestId, step, fn) {
+    // Throws if the database is unreachable: the side effect waits for a retry rather than risk repeating
+    const claim = await database.claimEventStep(requestId, step);
+    if (!claim.tracked) return fn();
+
+    if (!claim.claimed) {
+      logger.info('Skipping step already attempted for this event', {
+        requestId,
+        step,
+        done: Boolean(claim.step?.done)
+      });
+      return claim.step?.done ? claim.step.value : undefined;
+    }
+
+    try {
+      const value = await fn();
+      await database.saveEventStep(requestId, step, { done: true, value: value ?? null });
+      return value;
+    } catch (error) {
+      await database.saveEventStep(requestId, step, { done: false, error: error.message }).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Run a step until it succeeds once per event, then reuse its result
+   * @param {string} requestId - Request ID the event was received under
+   * @param {string} step - Step name, unique within the event
+   * @param {Function} fn - The step, its result must be JSON-serializable
+   * @returns {Promise<*>} What fn returned, now or on an earlier attempt
+   */
+  async remember(requestId, step, fn) {
+    const { tracked, step: entry } = await database.getEventStep(requestId, step);
+    if (entry?.done) return entry.value;
+
+    const value = await fn();
+    if (tracked) {
+      await database.saveEventStep(requestId, step, { done: true, value: value ?? null });
+    }
+    return value;
+  }
+}
+
+// Export singleton instance
+module.exports = new ProcessedEvents();
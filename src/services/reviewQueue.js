@@ -0,0 +1,141 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const plainApiClient = require('./plainApiClient');
+const priorityFeedback = require('./priorityFeedback');
+const confidencePolicy = require('./confidencePolicy');
+const components = require('../utils/threadEventComponents');
+
+/**
+ * Review Queue
+ *
+ * Makes low-confidence classifications visible in Plain: the thread gets the
+ * configured "Needs triage" label and a timeline note with the suggested
+ * band, score and reasoning. The label is cleared once an agent sets a priority.
+ */
+class ReviewQueue {
+  constructor() {
+    this.labelTypeId = config.reviewLabelId;
+  }
+
+  /**
+   * Build the timeline note for a thread that needs review
+   * @param {Object} classification - ClassificationResult
+   * @returns {Array<Object>} Plain components
+   */
+  buildReviewNote(classification) {
+    const threshold = confidencePolicy.getThreshold(classification.priorityBand);
+
+    return [
+      components.text('The classifier was not confident enough to set a priority. Please review and apply a priority label.'),
+      components.spacer(),
+      components.row('Suggested band', classification.priorityBand),
+      components.row('Score', classification.priorityScore),
+      components.row('Confidence', `${classification.confidence.toFixed(2)} (needs ${threshold.toFixed(2)})`),
+      components.row('Method', classification.method),
+      components.spacer(),
+      components.text(classification.reasoning || 'No reasoning provided', { color: 'MUTED' })
+    ];
+  }
+
+  /**
+   * Flag a low-confidence thread for review with a label and a timeline note
+   * @param {string} threadId - Plain thread ID
+   * @param {Object} classification - ClassificationResult
+   * @param {string} requestId - Request ID for tracking
+   * @returns {Promise<Object>} What was written to Plain
+   */
+  async flagForReview(threadId, classification, requestId) {
+    const result = { labeled: false, noted: false };
+
+    if (config.shadowMode) {
+      logger.info('Shadow mode: review label and note not written', { requestId, threadId });
+      return result;
+    }
+
+    if (this.labelTypeId) {
+      try {
+        await plainApiClient.addLabels(threadId, [this.labelTypeId]);
+        result.labeled = true;
+      } catch (error) {
+        logger.error('Failed to add review label', {
+          requestId,
+          threadId,
+          error: error.message
+        });
+      }
+    }
+
+    try {
+      await plainApiClient.createThreadEvent(
+        threadId,
+        `Needs triage: suggested ${classification.priorityBand}`,
+        this.buildReviewNote(classification)
+      );
+      result.noted = true;
+    } catch (error) {
+      logger.error('Failed to post review note', {
+        requestId,
+        threadId,
+        error: error.message
+      });
+    }
+
+    logger.info('Thread flagged for review', {
+      requestId,
+      threadId,
+      suggestedBand: classification.priorityBand,
+      confidence: classification.confidence,
+      ...result
+    });
+
+    return result;
+  }
+
+  /**
+   * Remove the review label from a thread if it has one
+   * @param {string} threadId - Plain thread ID
+   * @param {string} requestId - Request ID for tracking
+   * @returns {Promise<boolean>} True if a label was removed
+   */
+  async clearReview(threadId, requestId) {
+    if (!this.labelTypeId) return false;
+
+    const thread = await plainApiClient.getThread(threadId);
+    const reviewLabels = (thread.labels || []).filter(label => label.labelType?.id === this.labelTypeId);
+
+    if (reviewLabels.length === 0) {
+      return false;
+    }
+
+    await plainApiClient.removeLabels(threadId, reviewLabels.map(label => label.id));
+
+    logger.info('Review label cleared after manual priority', {
+      requestId,
+      threadId
+    });
+
+    return true;
+  }
+
+  /**
+   * Clear the review label when an agent adds a priority label
+   * @param {Object} payload - thread.labels_changed webhook payload
+   * @param {string} requestId - Request ID for tracking
+   * @returns {Promise<boolean>} True if a label was removed
+   */
+  async clearIfPrioritized(payload, requestId) {
+    const addedLabels = payload.addedLabels || [];
+    const agentSetPriority = addedLabels.some(label =>
+      priorityFeedback.getBandForLabel(label) && !priorityFeedback.isAutomatedChange(label)
+    );
+
+    if (!agentSetPriority) {
+      return false;
+    }
+
+    return this.clearReview(payload.thread.id, requestId);
+  }
+}
+
+// Export singleton instance
+module.exports = new ReviewQueue();
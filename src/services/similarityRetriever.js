@@ -0,0 +1,217 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { createEmbeddingFunction } = require('./llmProviders');
+
+/**
+ * Similarity Retriever
+ *
+ * Ranks past tickets by similarity to a new ticket so the most relevant
+ * ones can be used as prompt context. Uses local TF-IDF by default, or a
+ * pluggable embedding function when one is registered or configured.
+ * Candidate embeddings are cached by ticket ID, so each past ticket is
+ * embedded once rather than on every classification.
+ */
+class SimilarityRetriever {
+  constructor() {
+    this.embeddingFunction = null;
+    this.vectorCache = new Map(); // Ticket ID -> embedding, least recently used first
+    this.maxCachedVectors = Math.max(1000, 2 * (config.aiSimilarityPoolSize || 500));
+    this.stopWords = new Set([
+      'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for',
+      'from', 'has', 'have', 'hi', 'hello', 'i', 'if', 'in', 'is', 'it', 'its',
+      'me', 'my', 'no', 'of', 'on', 'or', 'our', 'please', 'so', 'that', 'the',
+      'thanks', 'this', 'to', 'was', 'we', 'with', 'you', 'your'
+    ]);
+
+    try {
+      this.setEmbeddingFunction(createEmbeddingFunction());
+    } catch (error) {
+      logger.error('Failed to set up embeddings, using TF-IDF', {
+        provider: config.aiEmbeddingProvider,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Register an embedding function to use instead of TF-IDF
+   * @param {Function|null} embeddingFunction - async (texts: string[]) => number[][]
+   */
+  setEmbeddingFunction(embeddingFunction) {
+    this.embeddingFunction = embeddingFunction;
+    this.vectorCache.clear();
+  }
+
+  /**
+   * Embed the query and the documents, reusing cached document vectors
+   * @param {string} query - Text to compare against
+   * @param {Array<string>} documents - Candidate documents
+   * @param {Array<string>} ids - Cache key per document (a missing key is never cached)
+   * @returns {Promise<{queryVector: Array<number>, documentVectors: Array<Array<number>>}>} Dense vectors
+   */
+  async embed(query, documents, ids = []) {
+    const documentVectors = documents.map((doc, index) => {
+      const id = ids[index];
+      if (!id || !this.vectorCache.has(id)) return null;
+
+      // Re-insert so the Map stays ordered by last use
+      const vector = this.vectorCache.get(id);
+      this.vectorCache.delete(id);
+      this.vectorCache.set(id, vector);
+      return vector;
+    });
+
+    const missing = documentVectors
+      .map((vector, index) => (vector ? null : index))
+      .filter(index => index !== null);
+    const [queryVector, ...embedded] = await this.embeddingFunction([query, ...missing.map(index => documents[index])]);
+
+    missing.forEach((index, position) => {
+      documentVectors[index] = embedded[position];
+      if (ids[index]) this.vectorCache.set(ids[index], embedded[position]);
+    });
+
+    for (const id of this.vectorCache.keys()) {
+      if (this.vectorCache.size <= this.maxCachedVectors) break;
+      this.vectorCache.delete(id);
+    }
+
+    return { queryVector, documentVectors };
+  }
+
+  /**
+   * Split text into normalized terms
+   * @param {string} text - Input text
+   * @returns {Array<string>} Terms
+   */
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(term => term.length > 1 && !this.stopWords.has(term));
+  }
+
+  /**
+   * Build TF-IDF vectors for a set of documents
+   * @param {Array<string>} documents - Documents to vectorize
+   * @returns {Array<Map>} Sparse vectors (term -> weight)
+   */
+  buildTfIdfVectors(documents) {
+    const tokenized = documents.map(doc => this.tokenize(doc));
+    const documentFrequency = new Map();
+
+    for (const terms of tokenized) {
+      for (const term of new Set(terms)) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    const documentCount = documents.length;
+    return tokenized.map(terms => {
+      const termFrequency = new Map();
+      for (const term of terms) {
+        termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+      }
+
+      const vector = new Map();
+      for (const [term, count] of termFrequency) {
+        const idf = Math.log((documentCount + 1) / (documentFrequency.get(term) + 1)) + 1;
+        vector.set(term, (count / terms.length) * idf);
+      }
+      return vector;
+    });
+  }
+
+  /**
+   * Cosine similarity between two sparse vectors
+   * @param {Map} a - Sparse vector
+   * @param {Map} b - Sparse vector
+   * @returns {number} Similarity between 0 and 1
+   */
+  sparseCosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (const [term, weight] of a) {
+      normA += weight * weight;
+      if (b.has(term)) dot += weight * b.get(term);
+    }
+    for (const weight of b.values()) {
+      normB += weight * weight;
+    }
+
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+  }
+
+  /**
+   * Cosine similarity between two dense vectors
+   * @param {Array<number>} a - Dense vector
+   * @param {Array<number>} b - Dense vector
+   * @returns {number} Similarity between -1 and 1
+   */
+  denseCosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+  }
+
+  /**
+   * Compute similarity of each document to the query
+   * @param {string} query - Text to compare against
+   * @param {Array<string>} documents - Candidate documents
+   * @param {Array<string>} ids - Cache key per document for its embedding
+   * @returns {Promise<Array<number>>} Similarity per document
+   */
+  async scoreDocuments(query, documents, ids = []) {
+    if (this.embeddingFunction) {
+      try {
+        const { queryVector, documentVectors } = await this.embed(query, documents, ids);
+        return documentVectors.map(vector => this.denseCosine(queryVector, vector));
+      } catch (error) {
+        logger.warn('Embedding function failed, falling back to TF-IDF', {
+          error: error.message
+        });
+      }
+    }
+
+    const [queryVector, ...documentVectors] = this.buildTfIdfVectors([query, ...documents]);
+    return documentVectors.map(vector => this.sparseCosine(queryVector, vector));
+  }
+
+  /**
+   * Select the K most similar items to the query
+   * @param {string} query - Text of the new ticket
+   * @param {Array<Object>} candidates - Candidate items
+   * @param {number} k - Number of items to return
+   * @param {Function} getText - Extracts comparable text from a candidate
+   * @param {Function} getId - Extracts the ID its embedding is cached under
+   * @returns {Promise<Array<Object>>} Top K candidates with a `similarity` field, most similar first
+   */
+  async findMostSimilar(query, candidates, k, getText = item => item.first_message, getId = item => item.thread_id) {
+    if (!query || !candidates || candidates.length === 0) {
+      return [];
+    }
+
+    const scores = await this.scoreDocuments(query, candidates.map(getText), candidates.map(getId));
+
+    return candidates
+      .map((candidate, index) => ({ ...candidate, similarity: scores[index] }))
+      .filter(candidate => candidate.similarity > 0)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, k);
+  }
+}
+
+// Export singleton instance
+module.exports = new SimilarityRetriever();
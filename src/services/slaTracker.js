@@ -0,0 +1,240 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const database = require('./database');
+const plainApiClient = require('./plainApiClient');
+const priorityLabeler = require('./priorityLabeler');
+const escalationEngine = require('./escalationEngine');
+const businessHours = require('./businessHours');
+const customerTiers = require('./customerTiers');
+const priorityRuleSet = require('./priorityRuleSet');
+const { PRIORITY_BANDS } = require('../utils/classificationMetrics');
+const { scoreForBand } = require('../utils/classificationResult');
+
+/**
+ * SLA Tracker
+ *
+ * Every classified thread is due a first agent response within its band's
+ * timeThresholds.response, counted from when the thread was created in
+ * working hours on the customer tier's business calendar. The breach check
+ * finds threads past their deadline: threads an agent answered (or closed)
+ * are settled as responded, the rest are marked breached and escalated by
+ * bumping the band one level, adding the "SLA breached" label and notifying
+ * through the escalation notifier. A breach is claimed in the database before
+ * any of that, so overlapping checks (cron and server, or a slow run) escalate
+ * each thread once.
+ */
+class SlaTracker {
+  constructor() {
+    this.settings = config.sla || {};
+    this.checking = false; // Guards against overlapping scheduled runs
+  }
+
+  /**
+   * Compute when a thread is due a first response
+   * @param {Date|string} startTime - When the thread was created
+   * @param {string} band - Priority band
+   * @param {string} tier - Customer tier, picks the business calendar
+   * @returns {Date|null} Due time, or null if the band has no response threshold
+   */
+  computeDueAt(startTime, band, tier) {
+    const seconds = priorityRuleSet.getRules()[band]?.timeThresholds?.response;
+    const start = startTime ? new Date(startTime) : new Date();
+    if (!seconds || Number.isNaN(start.getTime())) return null;
+    return businessHours.addHours(start, seconds / 3600, tier);
+  }
+
+  /**
+   * Due time for a thread from Plain, for saveTicket
+   * @param {Object} thread - Thread data from Plain
+   * @param {string} band - Priority band
+   * @param {Date|string} startTime - When the thread was created (defaults to thread.createdAt)
+   * @returns {Date|null} Due time
+   */
+  dueAtForThread(thread, band, startTime = thread.createdAt?.iso8601) {
+    // The tier the classifiers resolved, so the calendar belongs to the same tier as the rules
+    return this.computeDueAt(startTime, band, customerTiers.tierFor(thread));
+  }
+
+  /**
+   * Move a thread's deadline after its band changed outside a classification (agent override)
+   * @param {Object} thread - Thread data from the webhook payload
+   * @param {string} band - New priority band
+   * @param {string} requestId - Request ID for tracking
+   * @returns {Promise<Date|null>} New due time
+   */
+  async reschedule(thread, band, requestId) {
+    const threadId = thread.id;
+    const ticket = await database.getTicket(threadId);
+    if (!ticket) return null;
+
+    const dueAt = this.dueAtForThread(thread, band, ticket.created_at);
+    if (!dueAt) return null;
+
+    const updated = await database.rescheduleSla(threadId, dueAt);
+    if (updated) {
+      logger.info('SLA deadline rescheduled', {
+        requestId,
+        threadId,
+        band,
+        dueAt: dueAt.toISOString()
+      });
+    }
+    return updated ? dueAt : null;
+  }
+
+  /**
+   * Next more urgent band (P0 stays P0)
+   * @param {string} band - Priority band
+   * @returns {string} Bumped band
+   */
+  bumpBand(band) {
+    const index = PRIORITY_BANDS.indexOf(band);
+    return index > 0 ? PRIORITY_BANDS[index - 1] : band;
+  }
+
+  /**
+   * Escalate a thread that missed its deadline
+   * @param {Object} ticket - Stored ticket row
+   * @param {string} requestId - Request ID for tracking
+   * @returns {Promise<Object|null>} { threadId, band, newBand, outcome, notified }, or null if another check claimed it
+   */
+  async escalateBreach(ticket, requestId) {
+    const threadId = ticket.thread_id;
+    const band = ticket.override_band || ticket.priority_band;
+    const newBand = this.bumpBand(band);
+
+    if (!await database.claimSlaBreach(threadId)) {
+      logger.debug('SLA breach already settled, skipping', { requestId, threadId });
+      return null;
+    }
+
+    const result = { threadId, band, newBand, outcome: 'shadow', notified: false };
+
+    if (!config.shadowMode) {
+      result.outcome = 'applied';
+
+      if (newBand !== band) {
+        try {
+          const { applied } = await priorityLabeler.applyPriority(threadId, newBand, requestId);
+          if (!applied) result.outcome = 'manual_priority';
+        } catch (error) {
+          result.outcome = 'label_failed';
+          logger.error('Failed to bump priority for SLA breach', {
+            requestId,
+            threadId,
+            newBand,
+            error: error.message
+          });
+        }
+      }
+
+      if (this.settings.breachedLabelId) {
+        try {
+          await plainApiClient.addLabels(threadId, [this.settings.breachedLabelId]);
+        } catch (error) {
+          logger.error('Failed to add SLA breached label', {
+            requestId,
+            threadId,
+            error: error.message
+          });
+        }
+      }
+
+      const hours = priorityRuleSet.getRules()[band]?.timeThresholds?.response / 3600;
+      result.notified = await escalationEngine.notify({
+        type: 'sla_breach',
+        title: `SLA breached: ${band} ticket without a response`,
+        summary: `No agent response within ${hours} working hours (due ${new Date(ticket.sla_due_at).toISOString()})`,
+        threadId,
+        priorityBand: result.outcome === 'applied' ? newBand : band,
+        priorityScore: ticket.priority_score,
+        details: {
+          'Previous band': band,
+          'New band': result.outcome === 'applied' ? newBand : `${band} (${result.outcome})`
+        }
+      }, requestId);
+    }
+
+    const bandChanged = newBand !== band && result.outcome === 'applied';
+    await database.saveTicket({
+      threadId,
+      messageId: ticket.message_id,
+      firstMessage: ticket.first_message,
+      priorityScore: bandChanged ? scoreForBand(newBand, 0.5) : ticket.priority_score,
+      priorityBand: bandChanged ? newBand : band,
+      previousBand: band,
+      reasoning: `SLA breached: no agent response by ${new Date(ticket.sla_due_at).toISOString()}`,
+      trigger: 'sla_breach',
+      classifier: 'sla',
+      outcome: result.outcome,
+      shadowMode: config.shadowMode,
+      wouldApplyBand: config.shadowMode ? newBand : null,
+      accepted: bandChanged,
+      rulesVersion: priorityRuleSet.getVersion()
+    });
+
+    logger.warn('SLA breached', {
+      requestId,
+      ...result
+    });
+
+    return result;
+  }
+
+  /**
+   * Check overdue threads and escalate the ones still waiting for a response
+   * @param {string} requestId - Request ID for tracking
+   * @returns {Promise<Object>} { checked, responded, breached }
+   */
+  async checkBreaches(requestId = `sla_${Date.now()}`) {
+    const summary = { checked: 0, responded: 0, breached: 0 };
+
+    if (this.checking) {
+      logger.debug('SLA check already running, skipping', { requestId });
+      return summary;
+    }
+    this.checking = true;
+
+    try {
+      await priorityRuleSet.refresh();
+      const overdue = await database.getOverdueSlaTickets();
+
+      for (const ticket of overdue) {
+        summary.checked++;
+
+        try {
+          const thread = await plainApiClient.getThreadResponseInfo(ticket.thread_id);
+          const respondedAt = thread.firstOutboundMessageInfo?.timestamp?.iso8601;
+
+          if (respondedAt || thread.status === 'DONE') {
+            // Answered (possibly late) or closed without a reply: nothing to escalate
+            await database.settleSla(ticket.thread_id, { respondedAt: respondedAt ? new Date(respondedAt) : new Date() });
+            summary.responded++;
+            continue;
+          }
+
+          if (await this.escalateBreach(ticket, requestId)) {
+            summary.breached++;
+          }
+        } catch (error) {
+          // Left unsettled, so the next run retries it
+          logger.error('Failed to check SLA for thread', {
+            requestId,
+            threadId: ticket.thread_id,
+            error: error.message
+          });
+        }
+      }
+
+      if (summary.checked > 0) {
+        logger.info('SLA check completed', { requestId, ...summary });
+      }
+      return summary;
+    } finally {
+      this.checking = false;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new SlaTracker();
@@ -0,0 +1,169 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const database = require('./database');
+const processedEvents = require('./processedEvents');
+
+/**
+ * Webhook Queue
+ *
+ * Durable queue between webhook receipt and classification. The webhook
+ * endpoints verify an event, store it in `webhook_jobs` and acknowledge it
+ * right away, so a slow model can't push Plain past its webhook timeout.
+ * A worker (server.js on an interval, or the /api/cron/process-queue cron on
+ * Vercel) claims due jobs and runs them through the endpoint's processEvent.
+ *
+ * Failed jobs are retried with exponential backoff; after maxAttempts the
+ * event is moved to `webhook_dead_letters`, from where it can be requeued
+ * with `npm run queue -- requeue <id>`. Retries skip side effects an
+ * earlier attempt already made (see processedEvents.js).
+ */
+class WebhookQueue {
+  constructor() {
+    this.settings = config.queue || {};
+    this.working = false;
+  }
+
+  /**
+   * Stop queueing events, e.g. when nothing will work the queue; enqueue then returns null
+   */
+  disable() {
+    this.settings = { ...this.settings, enabled: false };
+  }
+
+  /**
+   * Store a verified webhook event for the worker
+   * @param {string} eventType - Plain event type
+   * @param {Object} payload - Webhook payload
+   * @param {string} requestId - Request ID for tracking
+   * @returns {Promise<string|null>} Job ID, or null if the event must be processed inline
+   */
+  async enqueue(eventType, payload, requestId) {
+    if (!this.settings.enabled) return null;
+
+    const jobId = await database.enqueueJob({ eventType, payload, requestId });
+
+    if (jobId) {
+      logger.info('Webhook queued', {
+        requestId,
+        eventType,
+        jobId
+      });
+    } else {
+      logger.warn('Webhook queue unavailable, processing inline', {
+        requestId,
+        eventType
+      });
+    }
+
+    return jobId;
+  }
+
+  /**
+   * Delay before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Seconds
+   */
+  backoffSeconds(attempts) {
+    const base = this.settings.backoffBaseSeconds || 30;
+    return Math.min(base * 2 ** Math.max(0, attempts - 1), this.settings.backoffMaxSeconds || 3600);
+  }
+
+  /**
+   * Process one claimed job and record the outcome
+   * @param {Object} job - Job row from database.claimJobs
+   * @param {Function} processEvent - (eventType, payload, requestId) => Promise<result>, throws to retry
+   * @returns {Promise<string>} 'processed', 'retried' or 'dead_lettered'
+   */
+  async runJob(job, processEvent) {
+    const requestId = job.request_id || `job_${job.id}`;
+    let result;
+
+    try {
+      result = await processEvent(job.event_type, job.payload, requestId);
+    } catch (error) {
+      if (job.attempts >= (this.settings.maxAttempts || 5)) {
+        await database.deadLetterJob(job, error.message);
+        await processedEvents.fail(requestId, error.message);
+        logger.error('Webhook job failed permanently, moved to dead letters', {
+          requestId,
+          jobId: job.id,
+          eventType: job.event_type,
+          attempts: job.attempts,
+          error: error.message
+        });
+        return 'dead_lettered';
+      }
+
+      const delaySeconds = this.backoffSeconds(job.attempts);
+      await database.retryJob(job.id, error.message, new Date(Date.now() + delaySeconds * 1000));
+      logger.warn('Webhook job failed, will retry', {
+        requestId,
+        jobId: job.id,
+        eventType: job.event_type,
+        attempts: job.attempts,
+        retryInSeconds: delaySeconds,
+        error: error.message
+      });
+      return 'retried';
+    }
+
+    await database.completeJob(job.id);
+    await processedEvents.complete(requestId, result);
+    logger.debug('Webhook job processed', {
+      requestId,
+      jobId: job.id,
+      eventType: job.event_type,
+      attempts: job.attempts
+    });
+    return 'processed';
+  }
+
+  /**
+   * Process due jobs until none are left or the time budget is used up
+   * @param {Function} processEvent - (eventType, payload, requestId) => Promise, throws to retry
+   * @param {Object} options - { maxDurationMs } to stop claiming new batches after that long
+   * @returns {Promise<Object>} Summary: { processed, retried, deadLettered }
+   */
+  async work(processEvent, { maxDurationMs = Infinity } = {}) {
+    const summary = { processed: 0, retried: 0, deadLettered: 0 };
+
+    // Skip if the previous run is still going
+    if (this.working) return summary;
+    this.working = true;
+
+    const startTime = Date.now();
+    const outcomes = { processed: 'processed', retried: 'retried', dead_lettered: 'deadLettered' };
+
+    try {
+      while (Date.now() - startTime < maxDurationMs) {
+        const jobs = await database.claimJobs(this.settings.batchSize || 10, this.settings.lockTimeoutSeconds || 300);
+        if (jobs.length === 0) break;
+
+        for (const job of jobs) {
+          try {
+            summary[outcomes[await this.runJob(job, processEvent)]]++;
+          } catch (error) {
+            // Recording the outcome failed; the lock expires and the job runs again
+            logger.error('Failed to record webhook job outcome', {
+              jobId: job.id,
+              error: error.message
+            });
+          }
+        }
+      }
+
+      if (summary.processed + summary.retried + summary.deadLettered > 0) {
+        logger.info('Webhook queue worked', {
+          ...summary,
+          durationMs: Date.now() - startTime
+        });
+      }
+      return summary;
+    } finally {
+      this.working = false;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new WebhookQueue();
@@ -0,0 +1,193 @@
+/**
+ * BusinessCalendar: counts and adds working time in a time zone
+ *
+ * {
+ *   alwaysOpen: true                      // 24/7, every hour counts
+ * }
+ * {
+ *   timeZone: 'Europe/London',            // IANA time zone
+ *   workingDays: ['mon', ..., 'fri'],
+ *   start: '09:00', end: '17:00',         // local working hours, end may be '24:00'
+ *   holidays: ['2026-12-25', '01-01']     // YYYY-MM-DD, or MM-DD for every year
+ * }
+ */
+const Joi = require('joi');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MAX_DAYS = 3660; // Upper bound on days walked for one calculation (~10 years)
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const alwaysOpenSchema = Joi.object({
+  alwaysOpen: Joi.boolean().valid(true).required()
+});
+
+const workingHoursSchema = Joi.object({
+  timeZone: Joi.string().default('UTC'),
+  workingDays: Joi.array().items(Joi.string().lowercase().valid(...DAY_NAMES)).min(1).required(),
+  start: Joi.string().pattern(TIME_PATTERN).required(),
+  end: Joi.string().pattern(TIME_PATTERN).required(),
+  holidays: Joi.array().items(Joi.string().pattern(/^(\d{4}-)?\d{2}-\d{2}$/)).default([])
+});
+
+/**
+ * @param {string} time - 'HH:MM'
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+class BusinessCalendar {
+  /**
+   * @param {Object} definition - Calendar definition (see top of file)
+   * @throws {Error} If the definition is invalid
+   */
+  constructor(definition) {
+    const schema = definition?.alwaysOpen ? alwaysOpenSchema : workingHoursSchema;
+    const { value, error } = schema.validate(definition, { abortEarly: false, convert: true });
+    if (error) {
+      throw new Error(`Invalid business calendar: ${error.details.map(detail => detail.message).join('; ')}`);
+    }
+
+    this.alwaysOpen = !!value.alwaysOpen;
+    if (this.alwaysOpen) return;
+
+    this.timeZone = value.timeZone;
+    this.workingDays = new Set(value.workingDays.map(day => DAY_NAMES.indexOf(day)));
+    this.startMinutes = toMinutes(value.start);
+    this.endMinutes = toMinutes(value.end);
+    this.holidays = new Set(value.holidays);
+
+    if (this.endMinutes <= this.startMinutes) {
+      throw new Error(`Invalid business calendar: end ${value.end} must be after start ${value.start}`);
+    }
+
+    // Throws a RangeError for unknown time zones
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  }
+
+  /**
+   * Wall-clock date and time of an instant in the calendar's time zone
+   * @param {number} ms - Epoch milliseconds
+   * @returns {Object} { year, month, day, hour, minute, second }
+   */
+  localParts(ms) {
+    const parts = {};
+    for (const { type, value } of this.formatter.formatToParts(new Date(ms))) {
+      if (type !== 'literal') parts[type] = Number(value);
+    }
+    return parts;
+  }
+
+  /**
+   * Offset of the time zone from UTC at an instant
+   * @param {number} ms - Epoch milliseconds
+   * @returns {number} Offset in milliseconds
+   */
+  offsetAt(ms) {
+    const p = this.localParts(ms);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(ms / 1000) * 1000;
+  }
+
+  /**
+   * Instant of a local wall-clock time
+   * @param {number} dayUtc - Local date as Date.UTC(year, month, day)
+   * @param {number} minutes - Minutes since local midnight
+   * @returns {number} Epoch milliseconds
+   */
+  toInstant(dayUtc, minutes) {
+    const wallClock = dayUtc + minutes * 60 * 1000;
+    // Second pass corrects the offset when a DST change falls between the guess and the answer
+    const guess = wallClock - this.offsetAt(wallClock);
+    return wallClock - this.offsetAt(guess);
+  }
+
+  /**
+   * Working window of a local date
+   * @param {number} dayUtc - Local date as Date.UTC(year, month, day)
+   * @returns {Array<number>|null} [start, end] in epoch milliseconds, null on days off
+   */
+  windowFor(dayUtc) {
+    const date = new Date(dayUtc);
+    const isoDate = date.toISOString().slice(0, 10);
+    if (!this.workingDays.has(date.getUTCDay()) || this.holidays.has(isoDate) || this.holidays.has(isoDate.slice(5))) {
+      return null;
+    }
+    return [this.toInstant(dayUtc, this.startMinutes), this.toInstant(dayUtc, this.endMinutes)];
+  }
+
+  /**
+   * Local date an instant falls on
+   * @param {number} ms - Epoch milliseconds
+   * @returns {number} Local date as Date.UTC(year, month, day)
+   */
+  localDay(ms) {
+    const p = this.localParts(ms);
+    return Date.UTC(p.year, p.month - 1, p.day);
+  }
+
+  /**
+   * Working hours between two times
+   * @param {Date|string|number} from - Start time
+   * @param {Date|string|number} to - End time (defaults to now)
+   * @returns {number} Hours, 0 if `to` is not after `from`
+   */
+  hoursBetween(from, to = Date.now()) {
+    const start = new Date(from).getTime();
+    const end = new Date(to).getTime();
+    if (!(end > start)) return 0;
+    if (this.alwaysOpen) return (end - start) / MS_PER_HOUR;
+
+    let total = 0;
+    const lastDay = this.localDay(end);
+    for (let day = this.localDay(start), i = 0; day <= lastDay && i < MAX_DAYS; day += 24 * MS_PER_HOUR, i++) {
+      const window = this.windowFor(day);
+      if (!window) continue;
+      total += Math.max(0, Math.min(end, window[1]) - Math.max(start, window[0]));
+    }
+    return total / MS_PER_HOUR;
+  }
+
+  /**
+   * Time after adding working hours
+   * @param {Date|string|number} from - Start time
+   * @param {number} hours - Working hours to add
+   * @returns {Date} Resulting time
+   */
+  addHours(from, hours) {
+    const start = new Date(from).getTime();
+    if (this.alwaysOpen) return new Date(start + hours * MS_PER_HOUR);
+
+    let remaining = hours * MS_PER_HOUR;
+    for (let day = this.localDay(start), i = 0; i < MAX_DAYS; day += 24 * MS_PER_HOUR, i++) {
+      const window = this.windowFor(day);
+      if (!window || window[1] <= start) continue;
+
+      const windowStart = Math.max(start, window[0]);
+      const available = window[1] - windowStart;
+      if (remaining <= available) {
+        return new Date(windowStart + remaining);
+      }
+      remaining -= available;
+    }
+    throw new Error(`No working time found within ${MAX_DAYS} days`);
+  }
+}
+
+module.exports = {
+  BusinessCalendar,
+  DAY_NAMES
+};
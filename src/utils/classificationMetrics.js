@@ -0,0 +1,90 @@
+/**
+ * Classification metrics for comparing predicted and labeled priority bands
+ */
+
+const PRIORITY_BANDS = ['P0', 'P1', 'P2', 'P3'];
+
+/**
+ * Build a confusion matrix (rows = expected band, columns = predicted band)
+ * @param {Array<{expected: string, predicted: string}>} pairs - Labeled predictions
+ * @param {Array<string>} bands - Priority bands
+ * @returns {Object} Nested counts: matrix[expected][predicted]
+ */
+function buildConfusionMatrix(pairs, bands = PRIORITY_BANDS) {
+  const matrix = {};
+  for (const expected of bands) {
+    matrix[expected] = {};
+    for (const predicted of bands) {
+      matrix[expected][predicted] = 0;
+    }
+  }
+
+  for (const { expected, predicted } of pairs) {
+    if (matrix[expected] && predicted in matrix[expected]) {
+      matrix[expected][predicted]++;
+    }
+  }
+
+  return matrix;
+}
+
+/**
+ * Compute per-band precision and recall plus overall band agreement
+ * @param {Array<{expected: string, predicted: string}>} pairs - Labeled predictions
+ * @param {Array<string>} bands - Priority bands
+ * @returns {Object} Metrics summary
+ */
+function computeMetrics(pairs, bands = PRIORITY_BANDS) {
+  const confusionMatrix = buildConfusionMatrix(pairs, bands);
+  const perBand = {};
+
+  for (const band of bands) {
+    const truePositives = confusionMatrix[band][band];
+    const predictedCount = bands.reduce((sum, expected) => sum + confusionMatrix[expected][band], 0);
+    const expectedCount = bands.reduce((sum, predicted) => sum + confusionMatrix[band][predicted], 0);
+
+    perBand[band] = {
+      precision: predictedCount > 0 ? truePositives / predictedCount : null,
+      recall: expectedCount > 0 ? truePositives / expectedCount : null,
+      support: expectedCount
+    };
+  }
+
+  const matched = pairs.filter(pair => pair.expected === pair.predicted).length;
+  // Off by at most one band (e.g. P1 vs P2) is usually acceptable for triage
+  const withinOne = pairs.filter(pair =>
+    Math.abs(bands.indexOf(pair.expected) - bands.indexOf(pair.predicted)) <= 1
+  ).length;
+
+  return {
+    total: pairs.length,
+    bandAgreement: pairs.length > 0 ? matched / pairs.length : null,
+    withinOneBandAgreement: pairs.length > 0 ? withinOne / pairs.length : null,
+    perBand,
+    confusionMatrix
+  };
+}
+
+/**
+ * Compute how often two classifiers chose the same band
+ * @param {Array<string>} bandsA - Bands from the first classifier
+ * @param {Array<string>} bandsB - Bands from the second classifier
+ * @returns {number|null} Agreement rate between 0 and 1
+ */
+function pairwiseAgreement(bandsA, bandsB) {
+  const count = Math.min(bandsA.length, bandsB.length);
+  if (count === 0) return null;
+
+  let agreed = 0;
+  for (let i = 0; i < count; i++) {
+    if (bandsA[i] === bandsB[i]) agreed++;
+  }
+  return agreed / count;
+}
+
+module.exports = {
+  PRIORITY_BANDS,
+  buildConfusionMatrix,
+  computeMetrics,
+  pairwiseAgreement
+};
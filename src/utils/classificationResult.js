@@ -0,0 +1,70 @@
+/**
+ * ClassificationResult: the one result shape every classifier returns
+ *
+ * {
+ *   priorityBand: 'P0' | 'P1' | 'P2' | 'P3',
+ *   priorityScore: integer 0-1000 inside the band's range (lower is more urgent),
+ *   confidence: number 0-1,
+ *   reasoning: string,
+ *   method: string, e.g. 'rules', 'ai-anthropic', 'fallback-keywords',
+ *   signals: object with the classifier-specific inputs behind the decision
+ * }
+ *
+ * Classifiers may add extra fields (modelUsed, promptVersion, impactScope, ...).
+ */
+const Joi = require('joi');
+const { PRIORITY_BANDS } = require('./classificationMetrics');
+
+const BAND_RANGES = {
+  P0: [0, 150],
+  P1: [151, 400],
+  P2: [401, 700],
+  P3: [701, 1000]
+};
+
+const classificationResultSchema = Joi.object({
+  priorityBand: Joi.string().valid(...PRIORITY_BANDS).required(),
+  priorityScore: Joi.number().integer().min(0).max(1000).required(),
+  confidence: Joi.number().min(0).max(1).required(),
+  reasoning: Joi.string().allow('').required(),
+  method: Joi.string().required(),
+  signals: Joi.object().default({})
+}).unknown(true);
+
+/**
+ * Get the score for a band when a classifier has no score of its own
+ * @param {string} band - Priority band
+ * @param {number} confidence - Confidence between 0 and 1
+ * @returns {number} Score inside the band, more confident results sit nearer the urgent end
+ */
+function scoreForBand(band, confidence = 0.5) {
+  const [min, max] = BAND_RANGES[band];
+  const clamped = Math.max(0, Math.min(1, confidence));
+  return min + Math.round((1 - clamped) * (max - min));
+}
+
+/**
+ * Validate and normalize a classification result
+ * @param {Object} fields - Result fields
+ * @returns {Object} ClassificationResult
+ * @throws {Error} If the result is invalid or the score is outside the band
+ */
+function createClassificationResult(fields) {
+  const { value, error } = classificationResultSchema.validate(fields, { abortEarly: false, convert: true });
+  if (error) {
+    throw new Error(`Invalid classification result: ${error.details.map(detail => detail.message).join('; ')}`);
+  }
+
+  const [min, max] = BAND_RANGES[value.priorityBand];
+  if (value.priorityScore < min || value.priorityScore > max) {
+    throw new Error(`Invalid classification result: score ${value.priorityScore} is outside ${value.priorityBand} (${min}-${max})`);
+  }
+
+  return value;
+}
+
+module.exports = {
+  BAND_RANGES,
+  scoreForBand,
+  createClassificationResult
+};
@@ -0,0 +1,92 @@
+/**
+ * Declared output schema for AI priority classification
+ *
+ * The JSON Schema is sent to the provider (Anthropic tool input schema,
+ * OpenAI JSON mode instructions); the Joi schema validates whatever comes back.
+ */
+const Joi = require('joi');
+const { PRIORITY_BANDS } = require('./classificationMetrics');
+
+const IMPACT_SCOPES = ['single_user', 'multiple_users', 'organization', 'all_customers', 'unknown'];
+const SENTIMENTS = ['positive', 'neutral', 'frustrated', 'angry'];
+
+const CLASSIFICATION_OUTPUT = {
+  name: 'record_priority_classification',
+  description: 'Record the priority classification for a support ticket',
+  jsonSchema: {
+    type: 'object',
+    properties: {
+      priority_score: {
+        type: 'integer',
+        minimum: 0,
+        maximum: 1000,
+        description: 'Priority score, lower is more urgent'
+      },
+      priority_band: {
+        type: 'string',
+        enum: PRIORITY_BANDS
+      },
+      reasoning: {
+        type: 'string',
+        description: 'Short explanation for the decision'
+      },
+      confidence: {
+        type: 'number',
+        minimum: 0,
+        maximum: 1,
+        description: 'Probability (0-1) that priority_band is the correct band'
+      },
+      impact_scope: {
+        type: 'string',
+        enum: IMPACT_SCOPES,
+        description: 'Who is affected by the issue'
+      },
+      product_area: {
+        type: 'string',
+        description: 'Product area the ticket is about, e.g. billing, api, dashboard, or "general"'
+      },
+      sentiment: {
+        type: 'string',
+        enum: SENTIMENTS,
+        description: 'Customer sentiment in the message'
+      }
+    },
+    required: ['priority_score', 'priority_band', 'reasoning', 'confidence', 'impact_scope', 'product_area', 'sentiment'],
+    additionalProperties: false
+  }
+};
+
+const classificationOutputSchema = Joi.object({
+  priority_score: Joi.number().integer().min(0).max(1000).required(),
+  priority_band: Joi.string().valid(...PRIORITY_BANDS).required(),
+  reasoning: Joi.string().trim().min(1).max(2000).required(),
+  confidence: Joi.number().min(0).max(1).required(),
+  impact_scope: Joi.string().valid(...IMPACT_SCOPES).required(),
+  product_area: Joi.string().trim().lowercase().min(1).max(100).required(),
+  sentiment: Joi.string().valid(...SENTIMENTS).required()
+}).unknown(true); // Extra keys are ignored rather than failing the whole classification
+
+/**
+ * Validate a structured model response against the declared schema
+ * @param {Object} data - Parsed model output
+ * @returns {{value: Object, error: string|null}} Normalized value or a validation error message
+ */
+function validateClassificationOutput(data) {
+  const { value, error } = classificationOutputSchema.validate(data, {
+    abortEarly: false,
+    convert: true,
+    stripUnknown: true
+  });
+
+  return {
+    value,
+    error: error ? error.details.map(detail => detail.message).join('; ') : null
+  };
+}
+
+module.exports = {
+  CLASSIFICATION_OUTPUT,
+  IMPACT_SCOPES,
+  SENTIMENTS,
+  validateClassificationOutput
+};
@@ -0,0 +1,164 @@
+/**
+ * Rule matchers for the rules classifier
+ *
+ * Patterns (what to look for in the message):
+ *   { phrase: 'site down' }                   whole words, any whitespace between them
+ *   { regex: '5\\d\\d (error|response)' }     case-insensitive regular expression, flags m, s and u allowed
+ *   { near: ['cannot', 'login'], within: 3 }  both words at most `within` words apart
+ *
+ * Phrase matches preceded by a negation ("no error", "isn't down") don't count.
+ *
+ * Matchers (a band's weighted rules, reported by name when they fire):
+ *   {
+ *     name: 'everyone-down',
+ *     match: { phrase: 'down' },
+ *     unless: [{ phrase: 'down payment' }],  // the rule doesn't fire if any of these match
+ *     when: { tiers, channels, domains, minAgeHours, maxAgeHours },
+ *     weight: 0.4
+ *   }
+ */
+
+// Words that negate the phrase right after them (within two words)
+const NEGATIONS = new Set([
+  'no', 'not', 'never', 'without', 'nothing', 'none',
+  "isn't", "aren't", "wasn't", "weren't", "doesn't", "don't", "didn't", "haven't", "hasn't"
+]);
+const NEGATION_WINDOW = 2;
+
+/**
+ * @param {string} value - Literal text
+ * @returns {string} Text with regex special characters escaped
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @param {string} content - Lowercased message content
+ * @param {number} index - Where a match starts
+ * @returns {boolean} True if a negation comes right before the match
+ */
+function isNegated(content, index) {
+  const before = content.slice(Math.max(0, index - 40), index).match(/[\w']+/g) || [];
+  return before.slice(-NEGATION_WINDOW).some(word => NEGATIONS.has(word));
+}
+
+/**
+ * Compile a pattern into a test function
+ * @param {Object} pattern - { phrase } | { regex, flags } | { near, within }
+ * @returns {Function} (content) => matched text or null
+ */
+function compilePattern(pattern) {
+  if (pattern.phrase !== undefined) {
+    const words = pattern.phrase.trim().split(/\s+/).map(escapeRegex).join('\\s+');
+    const regex = new RegExp(`(?<!\\w)${words}(?!\\w)`, 'gi');
+
+    return (content) => {
+      for (const match of content.matchAll(regex)) {
+        if (!isNegated(content, match.index)) return match[0];
+      }
+      return null;
+    };
+  }
+
+  if (pattern.regex !== undefined) {
+    // Stateful flags (g, y) are dropped so a compiled pattern gives the same answer on every call
+    const flags = (pattern.flags || '').replace(/[^msu]/g, '') + 'i';
+    const regex = new RegExp(pattern.regex, flags);
+
+    return (content) => {
+      const match = regex.exec(content);
+      return match ? match[0] : null;
+    };
+  }
+
+  if (pattern.near !== undefined) {
+    const [first, second] = pattern.near.map(word => word.toLowerCase());
+    const within = pattern.within || 5;
+
+    return (content) => {
+      const words = content.match(/[\w']+/g) || [];
+      const firstPositions = [];
+      const secondPositions = [];
+      words.forEach((word, i) => {
+        if (word === first) firstPositions.push(i);
+        if (word === second) secondPositions.push(i);
+      });
+
+      const near = firstPositions.some(i => secondPositions.some(j => i !== j && Math.abs(i - j) <= within));
+      return near ? `${first} near ${second}` : null;
+    };
+  }
+
+  throw new Error(`Unknown pattern: ${JSON.stringify(pattern)}`);
+}
+
+/**
+ * Check a rule's `when` conditions
+ * @param {Object} when - { tiers, channels, domains, minAgeHours, maxAgeHours }
+ * @param {Object} context - { tier, channel, domain, hoursOld }
+ * @returns {boolean} True if every condition holds
+ */
+function conditionsHold(when, context) {
+  if (!when) return true;
+  if (when.tiers && !when.tiers.includes(context.tier)) return false;
+  if (when.channels && !when.channels.includes(context.channel)) return false;
+  if (when.domains && !when.domains.some(domain => context.domain === domain || context.domain?.endsWith(`.${domain}`))) return false;
+  if (when.minAgeHours !== undefined && !(context.hoursOld >= when.minAgeHours)) return false;
+  if (when.maxAgeHours !== undefined && !(context.hoursOld <= when.maxAgeHours)) return false;
+  return true;
+}
+
+/**
+ * Compile a band's keywords and rules
+ * @param {Object} bandRules - Validated band rules from the rule set
+ * @returns {Object} { keywords: [{ phrase, weight, test }], matchers: [{ name, weight, test }] }
+ */
+function compileBandRules(bandRules) {
+  const keywords = (bandRules.keywords || []).map(keyword => {
+    const { phrase, weight } = typeof keyword === 'string' ? { phrase: keyword, weight: 0.1 } : keyword;
+    return { phrase, weight, test: compilePattern({ phrase }) };
+  });
+
+  const matchers = (bandRules.matchers || []).map(rule => {
+    const match = rule.match ? compilePattern(rule.match) : null;
+    const unless = (rule.unless || []).map(compilePattern);
+
+    return {
+      name: rule.name,
+      weight: rule.weight,
+      /**
+       * @param {Object} context - { content, tier, channel, domain, hoursOld }
+       * @returns {string|null} Evidence if the rule fires
+       */
+      test(context) {
+        if (!conditionsHold(rule.when, context)) return null;
+
+        const evidence = match ? match(context.content) : 'conditions met';
+        if (!evidence) return null;
+        if (unless.some(test => test(context.content))) return null;
+        return evidence;
+      }
+    };
+  });
+
+  return { keywords, matchers };
+}
+
+/**
+ * Compile every band of a rule set
+ * @param {Object} rules - { P0, P1, P2, P3 } from a validated rule set
+ * @returns {Object} Compiled band rules by band
+ * @throws {Error} If a pattern can't be compiled (e.g. an invalid regex)
+ */
+function compileRules(rules) {
+  return Object.fromEntries(
+    Object.entries(rules).map(([band, bandRules]) => [band, compileBandRules(bandRules)])
+  );
+}
+
+module.exports = {
+  compilePattern,
+  compileRules,
+  conditionsHold
+};
@@ -0,0 +1,115 @@
+/**
+ * Priority rule set: the versioned rules the rules classifier, SLA tracker
+ * and escalation engine work from
+ *
+ * {
+ *   version: '2026-10-19.1',
+ *   rules: {
+ *     P0: { keywords, customerTiers, matchers, timeThresholds: { created, response }, escalationRules },
+ *     P1: ..., P2: ..., P3: ...
+ *   }
+ * }
+ *
+ * Keywords are phrases ('site down') or { phrase, weight }. Matchers are
+ * named, weighted rules with patterns and conditions, see ruleMatchers.js.
+ *
+ * Rule sets can be stored as JSON or YAML files, or in `priority_rule_sets`.
+ */
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const { PRIORITY_BANDS } = require('./classificationMetrics');
+
+const patternSchema = Joi.alternatives().conditional('.phrase', {
+  is: Joi.exist(),
+  then: Joi.object({
+    phrase: Joi.string().trim().lowercase().min(1).required()
+  }),
+  otherwise: Joi.alternatives().conditional('.regex', {
+    is: Joi.exist(),
+    then: Joi.object({
+      regex: Joi.string().min(1).required().custom((value, helpers) => {
+        try {
+          RegExp(value);
+          return value;
+        } catch (error) {
+          return helpers.message(`{{#label}} is not a valid regex: ${error.message}`);
+        }
+      }),
+      flags: Joi.string().pattern(/^[msu]*$/) // Always case-insensitive; g and y would make matches depend on earlier calls
+    }),
+    otherwise: Joi.object({
+      near: Joi.array().items(Joi.string().trim().lowercase().pattern(/^[\w']+$/)).length(2).required(),
+      within: Joi.number().integer().min(1).default(5)
+    })
+  })
+});
+
+const matcherSchema = Joi.object({
+  name: Joi.string().trim().min(1).required(),
+  match: patternSchema,
+  unless: Joi.array().items(patternSchema).default([]),
+  when: Joi.object({
+    tiers: Joi.array().items(Joi.string().trim().lowercase()),
+    channels: Joi.array().items(Joi.string().trim().lowercase()),
+    domains: Joi.array().items(Joi.string().trim().lowercase()),
+    minAgeHours: Joi.number().min(0),
+    maxAgeHours: Joi.number().min(0)
+  }),
+  weight: Joi.number().min(-1).max(1).default(0.2)
+}).or('match', 'when');
+
+const bandRulesSchema = Joi.object({
+  keywords: Joi.array().items(
+    Joi.string().trim().lowercase().min(1),
+    Joi.object({
+      phrase: Joi.string().trim().lowercase().min(1).required(),
+      weight: Joi.number().min(0).max(1).default(0.1)
+    })
+  ).default([]),
+  customerTiers: Joi.array().items(Joi.string().trim().lowercase().min(1)).default([]),
+  matchers: Joi.array().items(matcherSchema).unique('name').default([]),
+  timeThresholds: Joi.object({
+    created: Joi.number().min(0).required(), // seconds
+    response: Joi.number().positive().required() // seconds, also the SLA
+  }).required(),
+  escalationRules: Joi.object({
+    autoAssign: Joi.boolean().default(false),
+    notifyManagement: Joi.boolean().default(false)
+  }).default({ autoAssign: false, notifyManagement: false })
+});
+
+const ruleSetSchema = Joi.object({
+  version: Joi.alternatives().try(Joi.string().trim().min(1), Joi.number()).required(),
+  rules: Joi.object(Object.fromEntries(PRIORITY_BANDS.map(band => [band, bandRulesSchema.required()]))).required()
+});
+
+/**
+ * Validate and normalize a rule set
+ * @param {Object} data - Parsed rule set
+ * @returns {Object} { value, error } where error is a message or null
+ */
+function validateRuleSet(data) {
+  const { value, error } = ruleSetSchema.validate(data, { abortEarly: false, convert: true });
+
+  if (error) {
+    return { value: null, error: error.details.map(detail => detail.message).join('; ') };
+  }
+
+  return { value: { ...value, version: String(value.version) }, error: null };
+}
+
+/**
+ * Parse a rule set file's contents
+ * @param {string} text - File contents
+ * @param {string} filename - File name, `.yaml`/`.yml` are parsed as YAML, anything else as JSON
+ * @returns {Object} Parsed (not yet validated) rule set
+ * @throws {Error} If the contents don't parse
+ */
+function parseRuleSet(text, filename) {
+  return /\.ya?ml$/i.test(filename) ? yaml.load(text) : JSON.parse(text);
+}
+
+module.exports = {
+  validateRuleSet,
+  parseRuleSet
+};
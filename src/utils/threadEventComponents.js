@@ -0,0 +1,69 @@
+/**
+ * Builders for Plain thread event components (ComponentInput)
+ */
+
+/**
+ * @param {string} value - Text to show
+ * @param {Object} options - { color: 'NORMAL' | 'MUTED' | 'SUCCESS' | 'WARNING' | 'ERROR', size: 'S' | 'M' | 'L' }
+ * @returns {Object} Text component
+ */
+function text(value, { color, size } = {}) {
+  return {
+    componentText: {
+      text: String(value),
+      ...(color && { textColor: color }),
+      ...(size && { textSize: size })
+    }
+  };
+}
+
+/**
+ * @param {string} label - Muted label on the left
+ * @param {string|number} value - Value on the right
+ * @returns {Object} Row component
+ */
+function row(label, value) {
+  return {
+    componentRow: {
+      rowMainContent: [text(label, { color: 'MUTED' })],
+      rowAsideContent: [text(value)]
+    }
+  };
+}
+
+/**
+ * @param {string} size - 'XS' | 'S' | 'M' | 'L' | 'XL'
+ * @returns {Object} Spacer component
+ */
+function spacer(size = 'S') {
+  return { componentSpacer: { spacerSize: size } };
+}
+
+/**
+ * @returns {Object} Divider component
+ */
+function divider() {
+  return { componentDivider: { dividerSpacingSize: 'S' } };
+}
+
+/**
+ * @param {string} label - Button label
+ * @param {string} url - URL opened by the button
+ * @returns {Object} Link button component
+ */
+function linkButton(label, url) {
+  return {
+    componentLinkButton: {
+      linkButtonLabel: label,
+      linkButtonUrl: url
+    }
+  };
+}
+
+module.exports = {
+  text,
+  row,
+  spacer,
+  divider,
+  linkButton
+};
@@ -0,0 +1,132 @@
+const { MockProvider } = require('../../src/services/llmProviders');
+const AIPriorityClassifier = require('../../src/services/aiPriorityClassifier').constructor;
+
+const validOutput = {
+  priority_score: 250,
+  priority_band: 'P1',
+  reasoning: 'Checkout fails for several users',
+  confidence: 0.8,
+  impact_scope: 'multiple_users',
+  product_area: 'Billing',
+  sentiment: 'frustrated'
+};
+
+describe('AIPriorityClassifier.parseModelResponse', () => {
+  const classifier = new AIPriorityClassifier({ provider: new MockProvider() });
+
+  it('maps structured output to a classification', () => {
+    expect(classifier.parseModelResponse({ data: validOutput })).toEqual({
+      priorityScore: 250,
+      priorityBand: 'P1',
+      reasoning: 'Checkout fails for several users',
+      modelConfidence: 0.8,
+      impactScope: 'multiple_users',
+      productArea: 'billing',
+      sentiment: 'frustrated'
+    });
+  });
+
+  it('accepts a bare or fenced JSON object from text-only providers', () => {
+    const bare = classifier.parseModelResponse({ text: JSON.stringify(validOutput) });
+    const fenced = classifier.parseModelResponse({ text: `\`\`\`json\n${JSON.stringify(validOutput)}\n\`\`\`` });
+    expect(bare.priorityBand).toBe('P1');
+    expect(fenced).toEqual(bare);
+  });
+
+  it('ignores extra keys', () => {
+    expect(classifier.parseModelResponse({ data: { ...validOutput, notes: 'extra' } })).not.toHaveProperty('notes');
+  });
+
+  it('clamps a score outside its band', () => {
+    expect(classifier.parseModelResponse({ data: { ...validOutput, priority_score: 900 } }).priorityScore).toBe(400);
+  });
+
+  it('rejects text that is not JSON', () => {
+    expect(() => classifier.parseModelResponse({ text: 'P1, because checkout fails' }))
+      .toThrow('Response is not valid JSON');
+  });
+
+  it('rejects output that does not match the schema', () => {
+    expect(() => classifier.parseModelResponse({ data: { ...validOutput, priority_band: 'P5', confidence: 2 } }))
+      .toThrow(/does not match schema.*priority_band.*confidence/);
+  });
+
+  it('rejects an empty response', () => {
+    expect(() => classifier.parseModelResponse({ text: '' })).toThrow('Response did not contain a JSON object');
+  });
+});
+
+describe('AIPriorityClassifier.getStructuredClassification', () => {
+  const responses = (...items) => {
+    const provider = new MockProvider();
+    provider.completeStructured = jest.fn();
+    for (const item of items) provider.completeStructured.mockResolvedValueOnce(item);
+    return provider;
+  };
+
+  it('does not repair a valid response', async () => {
+    const provider = responses({ data: validOutput, text: JSON.stringify(validOutput) });
+    const classifier = new AIPriorityClassifier({ provider });
+
+    const result = await classifier.getStructuredClassification('prompt', 'th_1');
+
+    expect(result).toMatchObject({ priorityBand: 'P1', repaired: false });
+    expect(provider.completeStructured).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries once with a repair prompt naming the problem', async () => {
+    const provider = responses(
+      { data: null, text: 'Looks like a P1 to me' },
+      { data: validOutput, text: JSON.stringify(validOutput) }
+    );
+    const classifier = new AIPriorityClassifier({ provider });
+
+    const result = await classifier.getStructuredClassification('prompt', 'th_1');
+
+    expect(result).toMatchObject({ priorityBand: 'P1', repaired: true });
+    const repairPrompt = provider.completeStructured.mock.calls[1][0].prompt;
+    expect(repairPrompt).toContain('Response is not valid JSON');
+    expect(repairPrompt).toContain('Looks like a P1 to me');
+  });
+
+  it('fails when the repaired response is still invalid', async () => {
+    const provider = responses(
+      { data: null, text: 'P1' },
+      { data: { ...validOutput, sentiment: 'confused' }, text: '{}' }
+    );
+    const classifier = new AIPriorityClassifier({ provider });
+
+    await expect(classifier.getStructuredClassification('prompt', 'th_1'))
+      .rejects.toThrow('Unable to parse model response');
+    expect(provider.completeStructured).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('AIPriorityClassifier.formatReviewedExample', () => {
+  const classifier = new AIPriorityClassifier({ provider: new MockProvider() });
+  const ticket = { first_message: 'Checkout is down', priority_band: 'P2', priority_score: 600, reasoning: 'One user affected' };
+
+  it('keeps the score of a confirmed classification', () => {
+    expect(classifier.formatReviewedExample({ ...ticket, override_band: 'P2' }, 0))
+      .toMatchObject({ priority_band: 'P2', priority_score: 600, reasoning: 'One user affected' });
+  });
+
+  it('leaves out the score of a corrected classification', () => {
+    const example = classifier.formatReviewedExample({ ...ticket, override_band: 'P0' }, 0);
+    expect(example).toMatchObject({ priority_band: 'P0', priority_score: null });
+
+    const prompt = classifier.buildPromptWithContext('Login fails', [example]);
+    expect(prompt).toContain('Ticket: "Checkout is down"\npriority_band: P0');
+  });
+});
+
+describe('AIPriorityClassifier instructions', () => {
+  it('uses custom instructions and records them as their own prompt version', () => {
+    const builtIn = new AIPriorityClassifier({ provider: new MockProvider() });
+    const custom = new AIPriorityClassifier({ provider: new MockProvider(), instructions: 'Triage this ticket strictly.' });
+
+    expect(builtIn.promptVersion).toBe('v3');
+    expect(custom.promptVersion).toMatch(/^v3-custom-[0-9a-f]{8}$/);
+    expect(custom.buildPromptWithContext('Login fails', [])).toMatch(/^Triage this ticket strictly\.\n/);
+  });
+});
@@ -0,0 +1,45 @@
+jest.mock('../../src/services/database', () => ({
+  saveComparison: jest.fn()
+}));
+jest.mock('../../src/services/webhookQueue', () => ({
+  enqueue: jest.fn()
+}));
+
+const database = require('../../src/services/database');
+const webhookQueue = require('../../src/services/webhookQueue');
+const challengerClassifier = require('../../src/services/challengerClassifier');
+
+const championResult = { priorityBand: 'P1', priorityScore: 250, method: 'ai' };
+
+describe('challengerClassifier.scheduleIfSampled', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    challengerClassifier.challengerType = 'rules';
+    challengerClassifier.sampleRate = 1;
+    challengerClassifier.classifier = { classifyThread: jest.fn().mockResolvedValue({ priorityBand: 'P2', priorityScore: 500 }) };
+    challengerClassifier.name = 'rules';
+  });
+
+  it('queues a sampled comparison', async () => {
+    webhookQueue.enqueue.mockResolvedValue('job_1');
+
+    expect(await challengerClassifier.scheduleIfSampled({ id: 'th_1' }, championResult, 'req_1'))
+      .toEqual({ queued: true, jobId: 'job_1' });
+    expect(webhookQueue.enqueue).toHaveBeenCalledWith(challengerClassifier.EVENT_TYPE,
+      { thread: { id: 'th_1' }, championResult }, 'req_1:challenger');
+    expect(database.saveComparison).not.toHaveBeenCalled();
+  });
+
+  it('finishes the comparison before returning when there is no queue', async () => {
+    webhookQueue.enqueue.mockResolvedValue(null);
+
+    expect(await challengerClassifier.scheduleIfSampled({ id: 'th_1' }, championResult, 'req_1'))
+      .toEqual({ queued: false, jobId: null });
+    expect(database.saveComparison).toHaveBeenCalledWith(expect.objectContaining({
+      threadId: 'th_1',
+      championBand: 'P1',
+      challengerBand: 'P2',
+      bandAgreement: false
+    }));
+  });
+});
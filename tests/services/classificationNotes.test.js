@@ -0,0 +1,32 @@
+const classificationNotes = require('../../src/services/classificationNotes');
+const customerTiers = require('../../src/services/customerTiers');
+const { createClassificationResult } = require('../../src/utils/classificationResult');
+
+const classification = createClassificationResult({
+  priorityScore: 250,
+  priorityBand: 'P1',
+  reasoning: 'Checkout fails',
+  confidence: 0.8,
+  method: 'ai'
+});
+
+const tierRow = note => note.find(component => component.componentRow?.rowMainContent[0].componentText.text === 'Customer tier')
+  .componentRow.rowAsideContent[0].componentText.text;
+
+describe('classificationNotes.buildNote', () => {
+  afterEach(() => {
+    customerTiers.cache.clear();
+  });
+
+  it('shows the mapped tier rather than the name in Plain', () => {
+    const note = classificationNotes.buildNote({ id: 'th_1', tier: { name: 'Enterprise Plan' } }, classification);
+    expect(tierRow(note)).toBe('custom');
+  });
+
+  it('shows a tier looked up from the customer', () => {
+    customerTiers.cache.set('c_1', { tier: 'pro', source: 'company: Acme', expiresAt: Date.now() + 60000 });
+
+    const note = classificationNotes.buildNote({ id: 'th_1', customer: { id: 'c_1' } }, classification);
+    expect(tierRow(note)).toBe('pro');
+  });
+});
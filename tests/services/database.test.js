@@ -0,0 +1,50 @@
+const database = require('../../src/services/database');
+
+const ticket = {
+  threadId: 'th_1',
+  messageId: 'msg_1',
+  firstMessage: 'Checkout is down',
+  priorityScore: 50,
+  priorityBand: 'P0',
+  reasoning: 'Outage'
+};
+
+const revisionConflict = () => Object.assign(new Error('duplicate key value violates unique constraint'), {
+  code: '23505',
+  constraint: 'classification_events_thread_id_revision_key'
+});
+
+describe('database.saveTicket', () => {
+  beforeEach(() => {
+    database.isConnected = true;
+    database.pool = { query: jest.fn() };
+  });
+
+  afterAll(() => {
+    database.isConnected = false;
+    database.pool = null;
+  });
+
+  it('retries when a concurrent write took the revision', async () => {
+    database.pool.query
+      .mockRejectedValueOnce(revisionConflict())
+      .mockResolvedValueOnce({ rows: [{ id: 'ticket_1', revision: 3 }] });
+
+    expect(await database.saveTicket(ticket)).toBe('ticket_1');
+    expect(database.pool.query).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up after repeated conflicts', async () => {
+    database.pool.query.mockRejectedValue(revisionConflict());
+
+    expect(await database.saveTicket(ticket)).toBeUndefined();
+    expect(database.pool.query).toHaveBeenCalledTimes(6);
+  });
+
+  it('does not retry other constraint violations', async () => {
+    database.pool.query.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: '23505', constraint: 'other_key' }));
+
+    expect(await database.saveTicket(ticket)).toBeUndefined();
+    expect(database.pool.query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,42 @@
+jest.mock('../../src/services/database', () => ({
+  getActiveRuleSet: jest.fn()
+}));
+jest.mock('../../src/services/aiPriorityClassifier', () => ({
+  isAvailable: () => true,
+  classifyThread: jest.fn()
+}));
+jest.mock('../../src/services/customerTiers', () => ({
+  resolve: jest.fn()
+}));
+
+const config = require('../../src/config/config');
+const database = require('../../src/services/database');
+const aiClassifier = require('../../src/services/aiPriorityClassifier');
+const priorityRuleSet = require('../../src/services/priorityRuleSet');
+const hybridClassifier = require('../../src/services/hybridPriorityClassifier');
+const { createClassificationResult } = require('../../src/utils/classificationResult');
+
+describe('hybridPriorityClassifier.classifyThread', () => {
+  beforeEach(() => {
+    priorityRuleSet.source = 'database';
+    priorityRuleSet.lastCheckedAt = 0;
+    hybridClassifier.classifierType = 'ai';
+    aiClassifier.classifyThread.mockResolvedValue(createClassificationResult({
+      priorityScore: 250,
+      priorityBand: 'P1',
+      reasoning: 'Checkout fails',
+      confidence: 0.9,
+      method: 'ai'
+    }));
+  });
+
+  it('loads the database rules before an AI classification and records their version', async () => {
+    database.getActiveRuleSet.mockResolvedValue({ version: '2026-10-01', rules: config.priorityRules });
+
+    const result = await hybridClassifier.classifyThread({ id: 'th_1' });
+
+    expect(result.method).toBe('ai');
+    expect(result.rulesVersion).toBe('2026-10-01');
+    expect(priorityRuleSet.getVersion()).toBe('2026-10-01');
+  });
+});
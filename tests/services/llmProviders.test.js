@@ -0,0 +1,71 @@
+const config = require('../../src/config/config');
+const { createProvider, AnthropicProvider, OpenAIProvider, MockProvider } = require('../../src/services/llmProviders');
+const AIPriorityClassifier = require('../../src/services/aiPriorityClassifier').constructor;
+
+describe('createProvider', () => {
+  it('creates the provider named in AI_PROVIDER', () => {
+    expect(createProvider('anthropic')).toBeInstanceOf(AnthropicProvider);
+    expect(createProvider('openai')).toBeInstanceOf(OpenAIProvider);
+    expect(createProvider('mock')).toBeInstanceOf(MockProvider);
+  });
+
+  it('throws on an unknown provider', () => {
+    expect(() => createProvider('bogus')).toThrow('Unknown AI provider: bogus');
+  });
+});
+
+describe('MockProvider', () => {
+  const provider = new MockProvider();
+  const prompt = ticket => `Examples...\n---\nNow evaluate this ticket:\nTicket: "${ticket}"\n\nRecord your classification`;
+
+  it('classifies the ticket in the prompt, not the examples', async () => {
+    const { data } = await provider.completeStructured({ prompt: `outage ${prompt('Please add a dark mode, just a suggestion')}` });
+    expect(data.priority_band).toBe('P3');
+  });
+
+  it('answers in the classification schema', async () => {
+    const { data, text } = await provider.completeStructured({ prompt: prompt('The site is down for everyone') });
+    expect(data).toMatchObject({
+      priority_band: 'P0',
+      priority_score: 75,
+      impact_scope: 'all_customers'
+    });
+    expect(JSON.parse(text)).toEqual(data);
+  });
+
+  it('falls back to P2 without severity keywords', async () => {
+    const { text } = await provider.complete({ prompt: prompt('How do I export a report?') });
+    expect(JSON.parse(text)).toMatchObject({ priority_band: 'P2', confidence: 0.5 });
+  });
+});
+
+describe('AIPriorityClassifier provider selection', () => {
+  it('disables AI classification on an unknown provider instead of throwing', () => {
+    const classifier = new AIPriorityClassifier({ providerName: 'bogus' });
+    expect(classifier.provider).toBeNull();
+    expect(classifier.isAvailable()).toBe(false);
+  });
+
+  it('only applies AI_MODEL to the configured provider', () => {
+    const original = { aiProvider: config.aiProvider, aiModel: config.aiModel };
+    Object.assign(config, { aiProvider: 'anthropic', aiModel: 'claude-custom' });
+
+    try {
+      expect(new AIPriorityClassifier({ providerName: 'anthropic' }).model).toBe('claude-custom');
+      expect(new AIPriorityClassifier({ providerName: 'openai' }).model).toBe('gpt-4o-mini');
+      expect(new AIPriorityClassifier({ providerName: 'openai', model: 'gpt-4o' }).model).toBe('gpt-4o');
+    } finally {
+      Object.assign(config, original);
+    }
+  });
+
+  it('classifies end to end with the mock provider', async () => {
+    const classifier = new AIPriorityClassifier({ provider: new MockProvider() });
+    const result = await classifier.classifyThread({
+      id: 'th_1',
+      firstMessage: { textContent: 'Checkout is broken, critical outage' }
+    });
+    expect(result.priorityBand).toBe('P0');
+    expect(result.method).toBe('ai-mock');
+  });
+});
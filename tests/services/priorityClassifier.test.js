@@ -0,0 +1,71 @@
+const priorityClassifier = require('../../src/services/priorityClassifier');
+const priorityRuleSet = require('../../src/services/priorityRuleSet');
+const { validateRuleSet } = require('../../src/utils/ruleSetSchema');
+
+const band = (overrides = {}) => ({
+  timeThresholds: { created: 3600, response: 1000 * 3600 },
+  ...overrides
+});
+
+const classify = (content, thread = {}) => priorityClassifier.classifyByRules(
+  priorityClassifier.extractThreadData({ id: 'th_1', allMessageContent: content, ...thread })
+);
+
+describe('priorityClassifier.classifyByRules', () => {
+  const original = priorityRuleSet.current;
+
+  beforeAll(() => {
+    priorityRuleSet.use(priorityRuleSet.validate({
+      version: 'test',
+      rules: {
+        P0: band({ keywords: ['outage'], customerTiers: ['custom'] }),
+        P1: band({ keywords: ['bug'], customerTiers: ['custom'] }),
+        P2: band({ keywords: ['question'] }),
+        P3: band({ keywords: ['suggestion'] })
+      }
+    }, 'test'), 'test');
+  });
+
+  afterAll(() => {
+    priorityRuleSet.use(original, 'test');
+  });
+
+  it('picks the highest scoring band', () => {
+    expect(classify('total outage in checkout').priority).toBe('P0');
+  });
+
+  it('breaks ties toward the least severe band', () => {
+    expect(classify('an outage, or maybe a bug').priority).toBe('P1');
+  });
+
+  it('stays P2 when only the customer tier matched', () => {
+    const result = classify('hello there', { tier: { name: 'Enterprise' } });
+    expect(result.scores.P0).toBeGreaterThan(0);
+    expect(result.priority).toBe('P2');
+  });
+
+  it('stays P2 when nothing matched', () => {
+    expect(classify('hello there')).toMatchObject({ priority: 'P2', confidence: 0 });
+  });
+});
+
+describe('rule set regex flags', () => {
+  const ruleSet = flags => ({
+    version: 1,
+    rules: {
+      P0: band({ matchers: [{ name: 'server-error', match: { regex: '5\\d\\d', flags } }] }),
+      P1: band(),
+      P2: band(),
+      P3: band()
+    }
+  });
+
+  it('allows m, s and u', () => {
+    expect(validateRuleSet(ruleSet('msu')).error).toBeNull();
+  });
+
+  it('rejects stateful flags', () => {
+    expect(validateRuleSet(ruleSet('g')).error).toMatch(/flags/);
+    expect(validateRuleSet(ruleSet('y')).error).toMatch(/flags/);
+  });
+});
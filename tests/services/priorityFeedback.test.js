@@ -0,0 +1,20 @@
+const priorityFeedback = require('../../src/services/priorityFeedback');
+const priorityLabeler = require('../../src/services/priorityLabeler');
+
+const label = createdBy => ({ labelType: { id: 'lt_p1' }, createdBy });
+
+describe('priorityFeedback.isAgentChange', () => {
+  it('recognizes agents and automation in webhook payloads and GraphQL results', () => {
+    expect(priorityFeedback.isAgentChange(label({ actorType: 'user', userId: 'u_1' }))).toBe(true);
+    expect(priorityFeedback.isAgentChange(label({ __typename: 'UserActor', userId: 'u_1' }))).toBe(true);
+    expect(priorityFeedback.isAgentChange(label({ actorType: 'machineUser', machineUserId: 'm_1' }))).toBe(false);
+    expect(priorityFeedback.isAgentChange(label({ __typename: 'MachineUserActor', machineUserId: 'm_1' }))).toBe(false);
+    expect(priorityFeedback.isAgentChange(label(undefined))).toBeNull();
+  });
+
+  it('gives the override recorder and the labeler the same answer', () => {
+    for (const createdBy of [{ actorType: 'user' }, { __typename: 'UserActor' }, { actorType: 'system' }, { __typename: 'MachineUserActor' }]) {
+      expect(priorityLabeler.isManualLabel(label(createdBy), null)).toBe(!priorityFeedback.isAutomatedChange(label(createdBy)));
+    }
+  });
+});
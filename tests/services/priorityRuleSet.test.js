@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config/config');
+const priorityRuleSet = require('../../src/services/priorityRuleSet');
+
+describe('priorityRuleSet.loadFile', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+  const file = path.join(dir, 'rules.json');
+  const original = { current: priorityRuleSet.current, settings: priorityRuleSet.settings };
+  const write = (version, keyword) => fs.writeFileSync(file, JSON.stringify({
+    version,
+    rules: { ...config.priorityRules, P0: { ...config.priorityRules.P0, keywords: [keyword] } }
+  }));
+
+  beforeEach(() => {
+    priorityRuleSet.settings = { file };
+    priorityRuleSet.fileHash = null;
+  });
+
+  afterAll(() => {
+    Object.assign(priorityRuleSet, original, { fileHash: null, fileModifiedAt: null });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('loads a new version', () => {
+    write('1', 'outage');
+    priorityRuleSet.loadFile();
+    write('2', 'down');
+    priorityRuleSet.loadFile();
+
+    expect(priorityRuleSet.getVersion()).toBe('2');
+    expect(priorityRuleSet.getRules().P0.keywords).toEqual(['down']);
+  });
+
+  it('reloads an unchanged file', () => {
+    write('1', 'outage');
+    priorityRuleSet.loadFile();
+    expect(() => priorityRuleSet.loadFile()).not.toThrow();
+  });
+
+  it('rejects changed rules under the same version', () => {
+    write('1', 'outage');
+    priorityRuleSet.loadFile();
+    write('1', 'down');
+
+    expect(() => priorityRuleSet.loadFile()).toThrow('bump the version');
+    expect(priorityRuleSet.getRules().P0.keywords).toEqual(['outage']);
+  });
+});
@@ -0,0 +1,130 @@
+jest.mock('../../src/services/database', () => ({
+  isConnected: true,
+  receiveEvent: jest.fn(),
+  finishEvent: jest.fn(),
+  claimEventStep: jest.fn(),
+  getEventStep: jest.fn(),
+  saveEventStep: jest.fn()
+}));
+
+const database = require('../../src/services/database');
+const processedEvents = require('../../src/services/processedEvents');
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  database.isConnected = true;
+  database.saveEventStep.mockResolvedValue();
+});
+
+describe('processedEvents.receive', () => {
+  it('processes events without an ID without de-duplication', async () => {
+    expect(await processedEvents.receive({ payload: {} }, 'req_1')).toEqual({ duplicate: false, requestId: 'req_1' });
+    expect(database.receiveEvent).not.toHaveBeenCalled();
+  });
+
+  it('returns the earlier delivery for a duplicate', async () => {
+    const receipt = { duplicate: true, event: { request_id: 'req_1', status: 'done', result: { band: 'P1' } } };
+    database.receiveEvent.mockResolvedValue(receipt);
+
+    expect(await processedEvents.receive({ id: 'evt_1', payload: { eventType: 'thread.thread_created' } }, 'req_2')).toBe(receipt);
+    expect(database.receiveEvent).toHaveBeenCalledWith({ eventId: 'evt_1', eventType: 'thread.thread_created', requestId: 'req_2' }, 600);
+  });
+
+  it('processes without de-duplication when recording fails', async () => {
+    database.receiveEvent.mockRejectedValue(new Error('connection reset'));
+    expect(await processedEvents.receive({ id: 'evt_1' }, 'req_1')).toEqual({ duplicate: false, requestId: 'req_1' });
+  });
+});
+
+describe('processedEvents.once', () => {
+  it('runs and records a claimed step', async () => {
+    database.claimEventStep.mockResolvedValue({ tracked: true, claimed: true });
+    const fn = jest.fn().mockResolvedValue('label_1');
+
+    expect(await processedEvents.once('req_1', 'label', fn)).toBe('label_1');
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(database.saveEventStep).toHaveBeenCalledWith('req_1', 'label', { done: true, value: 'label_1' });
+  });
+
+  it('skips a step an earlier attempt finished and returns its value', async () => {
+    database.claimEventStep.mockResolvedValue({ tracked: true, claimed: false, step: { done: true, value: 'label_1' } });
+    const fn = jest.fn();
+
+    expect(await processedEvents.once('req_1', 'label', fn)).toBe('label_1');
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  it('skips a step an earlier attempt failed rather than repeat the side effect', async () => {
+    database.claimEventStep.mockResolvedValue({ tracked: true, claimed: false, step: { done: false, error: 'timeout' } });
+    const fn = jest.fn();
+
+    expect(await processedEvents.once('req_1', 'note', fn)).toBeUndefined();
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  it('records a failure and rethrows', async () => {
+    database.claimEventStep.mockResolvedValue({ tracked: true, claimed: true });
+
+    await expect(processedEvents.once('req_1', 'note', () => Promise.reject(new Error('Plain API down'))))
+      .rejects.toThrow('Plain API down');
+    expect(database.saveEventStep).toHaveBeenCalledWith('req_1', 'note', { done: false, error: 'Plain API down' });
+  });
+
+  it('runs untracked steps directly', async () => {
+    database.claimEventStep.mockResolvedValue({ tracked: false });
+    const fn = jest.fn().mockResolvedValue(true);
+
+    expect(await processedEvents.once('req_1', 'label', fn)).toBe(true);
+    expect(database.saveEventStep).not.toHaveBeenCalled();
+  });
+
+  it('does not run the step when it cannot be claimed', async () => {
+    database.claimEventStep.mockRejectedValue(new Error('connection reset'));
+    const fn = jest.fn();
+
+    await expect(processedEvents.once('req_1', 'label', fn)).rejects.toThrow('connection reset');
+    expect(fn).not.toHaveBeenCalled();
+  });
+});
+
+describe('processedEvents.remember', () => {
+  it('reuses a result an earlier attempt produced', async () => {
+    database.getEventStep.mockResolvedValue({ tracked: true, step: { done: true, value: { priorityBand: 'P1' } } });
+    const fn = jest.fn();
+
+    expect(await processedEvents.remember('req_1', 'classification', fn)).toEqual({ priorityBand: 'P1' });
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  it('runs the step again until it succeeds, then records it', async () => {
+    database.getEventStep.mockResolvedValue({ tracked: true, step: { done: false } });
+    const fn = jest.fn().mockResolvedValue({ priorityBand: 'P2' });
+
+    expect(await processedEvents.remember('req_1', 'classification', fn)).toEqual({ priorityBand: 'P2' });
+    expect(database.saveEventStep).toHaveBeenCalledWith('req_1', 'classification', { done: true, value: { priorityBand: 'P2' } });
+  });
+
+  it('does not record a failed step', async () => {
+    database.getEventStep.mockResolvedValue({ tracked: true, step: null });
+
+    await expect(processedEvents.remember('req_1', 'classification', () => Promise.reject(new Error('model timeout'))))
+      .rejects.toThrow('model timeout');
+    expect(database.saveEventStep).not.toHaveBeenCalled();
+  });
+});
+
+describe('processedEvents.track', () => {
+  it('records the result of successful processing', async () => {
+    database.finishEvent.mockResolvedValue();
+
+    expect(await processedEvents.track('req_1', async () => ({ applied: true }))).toEqual({ applied: true });
+    expect(database.finishEvent).toHaveBeenCalledWith('req_1', 'done', { result: { applied: true } });
+  });
+
+  it('records a failure so a redelivery can process the event again', async () => {
+    database.finishEvent.mockResolvedValue();
+
+    await expect(processedEvents.track('req_1', () => Promise.reject(new Error('boom')))).rejects.toThrow('boom');
+    expect(database.finishEvent).toHaveBeenCalledWith('req_1', 'failed', { error: 'boom' });
+  });
+});
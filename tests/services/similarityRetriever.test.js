@@ -0,0 +1,54 @@
+const similarityRetriever = require('../../src/services/similarityRetriever');
+
+const vectors = {
+  'checkout is down': [1, 0],
+  'site outage': [0.9, 0.1],
+  'feature idea': [0, 1],
+  'login broken': [0.5, 0.5]
+};
+const tickets = [
+  { thread_id: 'th_1', first_message: 'site outage' },
+  { thread_id: 'th_2', first_message: 'feature idea' }
+];
+
+describe('similarityRetriever with an embedding function', () => {
+  const embed = jest.fn(texts => Promise.resolve(texts.map(text => vectors[text])));
+
+  beforeEach(() => {
+    embed.mockClear();
+    similarityRetriever.setEmbeddingFunction(embed);
+  });
+
+  afterAll(() => {
+    similarityRetriever.setEmbeddingFunction(null);
+  });
+
+  it('ranks candidates by embedding similarity', async () => {
+    const [top] = await similarityRetriever.findMostSimilar('checkout is down', tickets, 1);
+    expect(top.thread_id).toBe('th_1');
+  });
+
+  it('embeds each candidate once and caches it by ticket ID', async () => {
+    await similarityRetriever.findMostSimilar('checkout is down', tickets, 2);
+    await similarityRetriever.findMostSimilar('login broken', [...tickets, { thread_id: 'th_3', first_message: 'checkout is down' }], 2);
+
+    expect(embed.mock.calls.map(([texts]) => texts)).toEqual([
+      ['checkout is down', 'site outage', 'feature idea'],
+      ['login broken', 'checkout is down']
+    ]);
+  });
+
+  it('evicts the least recently used vectors', async () => {
+    similarityRetriever.maxCachedVectors = 1;
+    await similarityRetriever.findMostSimilar('checkout is down', tickets, 2);
+    similarityRetriever.maxCachedVectors = 1000;
+
+    expect([...similarityRetriever.vectorCache.keys()]).toEqual(['th_2']);
+  });
+
+  it('falls back to TF-IDF when embedding fails', async () => {
+    embed.mockRejectedValueOnce(new Error('rate limited'));
+    const [top] = await similarityRetriever.findMostSimilar('the site outage again', tickets, 1);
+    expect(top.thread_id).toBe('th_1');
+  });
+});
@@ -0,0 +1,19 @@
+const businessHours = require('../../src/services/businessHours');
+const customerTiers = require('../../src/services/customerTiers');
+const slaTracker = require('../../src/services/slaTracker');
+
+describe('slaTracker.dueAtForThread', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    customerTiers.cache.clear();
+  });
+
+  it('uses the tier the classifiers resolved for the business calendar', () => {
+    const addHours = jest.spyOn(businessHours, 'addHours');
+    customerTiers.cache.set('c_1', { tier: 'custom', source: 'company: Acme', expiresAt: Date.now() + 60000 });
+
+    slaTracker.dueAtForThread({ id: 'th_1', customer: { id: 'c_1' }, createdAt: { iso8601: '2026-03-24T10:00:00Z' } }, 'P1');
+
+    expect(addHours).toHaveBeenCalledWith(new Date('2026-03-24T10:00:00Z'), expect.any(Number), 'custom');
+  });
+});
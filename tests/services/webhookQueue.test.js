@@ -0,0 +1,89 @@
+jest.mock('../../src/services/database', () => ({
+  enqueueJob: jest.fn(),
+  claimJobs: jest.fn(),
+  completeJob: jest.fn(),
+  retryJob: jest.fn(),
+  deadLetterJob: jest.fn()
+}));
+jest.mock('../../src/services/processedEvents', () => ({
+  complete: jest.fn(),
+  fail: jest.fn()
+}));
+
+const database = require('../../src/services/database');
+const processedEvents = require('../../src/services/processedEvents');
+const webhookQueue = require('../../src/services/webhookQueue');
+
+const job = (attempts) => ({
+  id: 'job_1',
+  event_type: 'thread.thread_created',
+  payload: { thread: { id: 'th_1' } },
+  request_id: 'req_1',
+  attempts
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  webhookQueue.settings = { enabled: true, maxAttempts: 3, backoffBaseSeconds: 30, backoffMaxSeconds: 600, batchSize: 10 };
+});
+
+describe('webhookQueue.backoffSeconds', () => {
+  it('doubles the delay per attempt up to the maximum', () => {
+    expect([1, 2, 3, 4, 5, 6].map(attempts => webhookQueue.backoffSeconds(attempts))).toEqual([30, 60, 120, 240, 480, 600]);
+  });
+});
+
+describe('webhookQueue.runJob', () => {
+  it('completes a processed job and records its result', async () => {
+    const processEvent = jest.fn().mockResolvedValue({ applied: true });
+
+    expect(await webhookQueue.runJob(job(1), processEvent)).toBe('processed');
+    expect(processEvent).toHaveBeenCalledWith('thread.thread_created', { thread: { id: 'th_1' } }, 'req_1');
+    expect(database.completeJob).toHaveBeenCalledWith('job_1');
+    expect(processedEvents.complete).toHaveBeenCalledWith('req_1', { applied: true });
+  });
+
+  it('schedules a retry with backoff while attempts remain', async () => {
+    const before = Date.now();
+
+    expect(await webhookQueue.runJob(job(2), () => Promise.reject(new Error('model timeout')))).toBe('retried');
+
+    const [id, error, runAt] = database.retryJob.mock.calls[0];
+    expect(id).toBe('job_1');
+    expect(error).toBe('model timeout');
+    expect(runAt.getTime()).toBeGreaterThanOrEqual(before + 60 * 1000);
+    expect(database.deadLetterJob).not.toHaveBeenCalled();
+    expect(processedEvents.fail).not.toHaveBeenCalled();
+  });
+
+  it('moves a job to the dead letters after its last attempt', async () => {
+    expect(await webhookQueue.runJob(job(3), () => Promise.reject(new Error('model timeout')))).toBe('dead_lettered');
+
+    expect(database.deadLetterJob).toHaveBeenCalledWith(job(3), 'model timeout');
+    expect(processedEvents.fail).toHaveBeenCalledWith('req_1', 'model timeout');
+    expect(database.retryJob).not.toHaveBeenCalled();
+  });
+});
+
+describe('webhookQueue.work', () => {
+  it('works through batches until no job is due', async () => {
+    database.claimJobs
+      .mockResolvedValueOnce([job(1), { ...job(3), id: 'job_2' }])
+      .mockResolvedValueOnce([])
+      .mockResolvedValue([]);
+    const processEvent = jest.fn()
+      .mockResolvedValueOnce({ applied: true })
+      .mockRejectedValueOnce(new Error('boom'));
+
+    expect(await webhookQueue.work(processEvent)).toEqual({ processed: 1, retried: 0, deadLettered: 1 });
+    expect(database.claimJobs).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps going when recording an outcome fails', async () => {
+    database.claimJobs.mockResolvedValueOnce([job(1)]).mockResolvedValue([]);
+    database.completeJob.mockRejectedValue(new Error('connection reset'));
+
+    expect(await webhookQueue.work(() => Promise.resolve({}))).toEqual({ processed: 0, retried: 0, deadLettered: 0 });
+    expect(webhookQueue.working).toBe(false);
+  });
+});
@@ -0,0 +1,5 @@
+// Minimal environment so src/config/config.js loads without a .env file
+process.env.PLAIN_API_TOKEN = process.env.PLAIN_API_TOKEN || 'test-token';
+process.env.PLAIN_SIGNATURE_SECRET = process.env.PLAIN_SIGNATURE_SECRET || 'test-secret';
+process.env.LOG_LEVEL = 'error';
+process.env.DATABASE_URL = '';
@@ -0,0 +1,86 @@
+const { BusinessCalendar } = require('../../src/utils/businessCalendar');
+
+const london = new BusinessCalendar({
+  timeZone: 'Europe/London',
+  workingDays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  start: '09:00',
+  end: '17:00',
+  holidays: ['2026-04-03', '12-25']
+});
+
+describe('BusinessCalendar', () => {
+  describe('addHours', () => {
+    it('stays within the working day', () => {
+      expect(london.addHours('2026-03-24T10:00:00Z', 3).toISOString()).toBe('2026-03-24T13:00:00.000Z');
+    });
+
+    it('starts counting at opening time outside working hours', () => {
+      expect(london.addHours('2026-03-24T06:30:00Z', 1).toISOString()).toBe('2026-03-24T10:00:00.000Z');
+    });
+
+    it('skips the weekend', () => {
+      // Friday 16:00 + 2 working hours = Monday 10:00
+      expect(london.addHours('2026-03-20T16:00:00Z', 2).toISOString()).toBe('2026-03-23T10:00:00.000Z');
+    });
+
+    it('skips the weekend the clocks go forward', () => {
+      // Friday 16:00 GMT + 2 working hours = Monday 10:00 BST (09:00 UTC)
+      expect(london.addHours('2026-03-27T16:00:00Z', 2).toISOString()).toBe('2026-03-30T09:00:00.000Z');
+    });
+
+    it('skips the weekend the clocks go back', () => {
+      // Friday 16:00 BST (15:00 UTC) + 2 working hours = Monday 10:00 GMT
+      expect(london.addHours('2026-10-23T15:00:00Z', 2).toISOString()).toBe('2026-10-26T10:00:00.000Z');
+    });
+
+    it('skips dated and yearly holidays', () => {
+      // Thursday 2 April 16:00 BST + 2 hours skips Good Friday and the weekend
+      expect(london.addHours('2026-04-02T15:00:00Z', 2).toISOString()).toBe('2026-04-06T09:00:00.000Z');
+      expect(london.addHours('2026-12-24T16:00:00Z', 2).toISOString()).toBe('2026-12-28T10:00:00.000Z');
+    });
+
+    it('counts every hour on an always-open calendar', () => {
+      const open = new BusinessCalendar({ alwaysOpen: true });
+      expect(open.addHours('2026-03-28T23:00:00Z', 4).toISOString()).toBe('2026-03-29T03:00:00.000Z');
+    });
+  });
+
+  describe('hoursBetween', () => {
+    it('counts only working hours across the weekend', () => {
+      expect(london.hoursBetween('2026-03-20T16:00:00Z', '2026-03-23T10:00:00Z')).toBe(2);
+    });
+
+    it('counts only working hours across a DST change', () => {
+      expect(london.hoursBetween('2026-03-27T16:00:00Z', '2026-03-30T09:00:00Z')).toBe(2);
+      expect(london.hoursBetween('2026-10-23T15:00:00Z', '2026-10-26T10:00:00Z')).toBe(2);
+    });
+
+    it('is the inverse of addHours', () => {
+      const start = '2026-03-26T11:15:00Z';
+      expect(london.hoursBetween(start, london.addHours(start, 13.5))).toBe(13.5);
+    });
+
+    it('counts a 23-hour day when the clocks go forward', () => {
+      const allDay = new BusinessCalendar({
+        timeZone: 'Europe/London',
+        workingDays: ['sun'],
+        start: '00:00',
+        end: '24:00'
+      });
+      expect(allDay.hoursBetween('2026-03-29T00:00:00Z', '2026-03-30T00:00:00Z')).toBe(23);
+    });
+
+    it('returns 0 when the end is not after the start', () => {
+      expect(london.hoursBetween('2026-03-24T12:00:00Z', '2026-03-24T10:00:00Z')).toBe(0);
+    });
+  });
+
+  it('rejects an invalid definition', () => {
+    expect(() => new BusinessCalendar({ workingDays: ['mon'], start: '17:00', end: '09:00' }))
+      .toThrow('end 09:00 must be after start 17:00');
+    expect(() => new BusinessCalendar({ workingDays: ['someday'], start: '09:00', end: '17:00' }))
+      .toThrow('Invalid business calendar');
+    expect(() => new BusinessCalendar({ timeZone: 'Mars/Olympus', workingDays: ['mon'], start: '09:00', end: '17:00' }))
+      .toThrow(RangeError);
+  });
+});
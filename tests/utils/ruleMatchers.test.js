@@ -0,0 +1,89 @@
+const { compilePattern, compileRules, conditionsHold } = require('../../src/utils/ruleMatchers');
+
+describe('compilePattern', () => {
+  describe('phrase', () => {
+    const test = compilePattern({ phrase: 'site down' });
+
+    it('matches whole words with any whitespace between them', () => {
+      expect(test('our site   down since 9am')).toBe('site   down');
+      expect(test('the website download page')).toBeNull();
+    });
+
+    it('ignores a phrase right after a negation', () => {
+      expect(test('the site is not down, just slow')).toBeNull();
+      expect(compilePattern({ phrase: 'error' })('there is no error in the logs')).toBeNull();
+      expect(compilePattern({ phrase: 'down' })("it isn't down")).toBeNull();
+    });
+
+    it('matches a negation further back, or a later occurrence that is not negated', () => {
+      expect(compilePattern({ phrase: 'down' })('not sure why but checkout is down')).toBe('down');
+      expect(compilePattern({ phrase: 'error' })('no error yesterday, today an error')).toBe('error');
+    });
+
+    it('escapes regex characters in the phrase', () => {
+      expect(compilePattern({ phrase: 'c++ sdk' })('the c++ sdk crashes')).toBe('c++ sdk');
+    });
+  });
+
+  describe('regex', () => {
+    it('matches case-insensitively', () => {
+      expect(compilePattern({ regex: '5\\d\\d (error|response)' })('Got a 503 Error')).toBe('503 Error');
+    });
+
+    it('ignores stateful flags', () => {
+      const test = compilePattern({ regex: 'timeout', flags: 'gys' });
+      expect(test('a timeout')).toBe('timeout');
+      expect(test('a timeout')).toBe('timeout');
+    });
+
+    it('throws on an invalid expression', () => {
+      expect(() => compilePattern({ regex: '(unclosed' })).toThrow(SyntaxError);
+    });
+  });
+
+  describe('near', () => {
+    const test = compilePattern({ near: ['cannot', 'login'], within: 3 });
+
+    it('matches both words within the distance, in either order', () => {
+      expect(test('I cannot seem to login')).toBe('cannot near login');
+      expect(test('login: I cannot')).toBe('cannot near login');
+    });
+
+    it('does not match words further apart', () => {
+      expect(test('I cannot find where the settings page has the login button')).toBeNull();
+    });
+  });
+
+  it('throws on an unknown pattern', () => {
+    expect(() => compilePattern({ glob: '*down*' })).toThrow('Unknown pattern');
+  });
+});
+
+describe('conditionsHold', () => {
+  it('checks tiers, domains and age', () => {
+    const when = { tiers: ['pro'], domains: ['acme.com'], maxAgeHours: 4 };
+    expect(conditionsHold(when, { tier: 'pro', domain: 'eu.acme.com', hoursOld: 2 })).toBe(true);
+    expect(conditionsHold(when, { tier: 'free', domain: 'acme.com', hoursOld: 2 })).toBe(false);
+    expect(conditionsHold(when, { tier: 'pro', domain: 'notacme.com', hoursOld: 2 })).toBe(false);
+    expect(conditionsHold(when, { tier: 'pro', domain: 'acme.com', hoursOld: 5 })).toBe(false);
+  });
+});
+
+describe('compileRules', () => {
+  it('fires a matcher unless an exception matches', () => {
+    const { P0 } = compileRules({
+      P0: {
+        matchers: [{
+          name: 'everyone-down',
+          match: { phrase: 'down' },
+          unless: [{ phrase: 'down payment' }],
+          weight: 0.4
+        }]
+      }
+    });
+    const [rule] = P0.matchers;
+
+    expect(rule.test({ content: 'everything is down' })).toBe('down');
+    expect(rule.test({ content: 'question about the down payment' })).toBeNull();
+  });
+});